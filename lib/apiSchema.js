@@ -0,0 +1,396 @@
+'use strict';
+
+const { EVENTS } = require('./webhooks');
+const { ROLES } = require('./tokenStore');
+const { STATES } = require('./publishing');
+const { SORT_FIELDS } = require('./postQuery');
+const { TARGET_TYPES } = require('./chunkedUploads');
+const { MODES } = require('./backup');
+const { decodeSegment } = require('./validation');
+
+// Request schemas for every route. The dispatcher validates path parameters and the query with
+// them, `readJsonBody` validates JSON bodies and `readUploadForm` multipart fields; the same table
+// is published as the OpenAPI description at GET /api/openapi.json.
+
+const string = { type: 'string' };
+const nonEmpty = { type: 'string', minLength: 1 };
+const dateTime = { type: 'string', format: 'date-time' };
+const sha256 = { type: 'string', pattern: '^[0-9a-fA-F]{64}$' };
+const base64 = { type: 'string', minLength: 1, description: 'Base64 data, optionally as a data: URL' };
+const flag = { type: 'boolean' };
+
+const object = (properties, required = []) => ({ type: 'object', properties, required });
+
+const folderParam = { type: 'string', pattern: '^(?!.*\\.\\.)[^/\\\\]+$', description: 'Post folder, `<yyyy-mm-dd>-<slug>`' };
+
+const stateFields = {
+  state: { type: 'string', enum: STATES },
+  publishAt: dateTime
+};
+
+// Empty title and slug on updates mean "unchanged", as they always have.
+const postFields = {
+  title: string,
+  content: string,
+  slug: string,
+  date: dateTime,
+  meta: { type: 'object', description: 'Extra front matter; `tags` is a list of tag names' },
+  ...stateFields
+};
+
+const fileForm = extra => object({ file: { type: 'string', format: 'binary' }, filename: string, sha256, ...extra }, ['file']);
+
+const webhookEvents = {
+  anyOf: [{ type: 'string', enum: ['*', ...EVENTS] }, { type: 'array', minItems: 1, items: { type: 'string', enum: ['*', ...EVENTS] } }],
+  description: '"*" or a list of events'
+};
+
+const dateQuery = { type: 'string', format: 'date-time', description: 'ISO date or timestamp' };
+
+const ROUTES = [
+  { method: 'GET', path: '/api/openapi.json', tag: 'meta', summary: 'This OpenAPI description' },
+
+  {
+    method: 'GET',
+    path: '/api/posts',
+    tag: 'posts',
+    summary: 'List posts with filters, sorting and pagination',
+    query: object({
+      tag: { type: 'array', items: nonEmpty, description: 'Repeatable; posts must carry every tag' },
+      from: dateQuery,
+      to: dateQuery,
+      draft: flag,
+      state: { type: 'string', enum: STATES },
+      titlePrefix: string,
+      sort: { type: 'string', enum: SORT_FIELDS },
+      order: { type: 'string', enum: ['asc', 'desc'] },
+      limit: { type: 'integer', minimum: 1 },
+      offset: { type: 'integer', minimum: 0 },
+      cursor: string
+    })
+  },
+  { method: 'POST', path: '/api/posts', tag: 'posts', summary: 'Create a post', status: 201, body: object({ ...postFields, title: nonEmpty, content: nonEmpty }, ['title', 'content']) },
+  { method: 'GET', path: '/api/posts/{folder}', tag: 'posts', summary: 'Read a post (supports If-None-Match)' },
+  { method: 'PUT', path: '/api/posts/{folder}', tag: 'posts', summary: 'Update or rename a post (supports If-Match)', body: object(postFields) },
+  { method: 'DELETE', path: '/api/posts/{folder}', tag: 'posts', summary: 'Move a post to the trash' },
+  {
+    method: 'POST',
+    path: '/api/posts/{folder}/images',
+    tag: 'posts',
+    summary: 'Add an image to the post gallery',
+    body: object({ filename: nonEmpty, data: base64 }, ['filename', 'data']),
+    multipart: fileForm({})
+  },
+  {
+    method: 'POST',
+    path: '/api/posts/{folder}/archives',
+    tag: 'posts',
+    summary: 'Add an HTML archive and link it from the post',
+    body: object({ filename: nonEmpty, data: base64, linkText: string }, ['filename', 'data']),
+    multipart: fileForm({ linkText: string })
+  },
+  { method: 'POST', path: '/api/posts/{folder}/publish', tag: 'posts', summary: 'Publish a post' },
+  { method: 'POST', path: '/api/posts/{folder}/unpublish', tag: 'posts', summary: 'Turn a post into a draft' },
+  { method: 'POST', path: '/api/posts/{folder}/schedule', tag: 'posts', summary: 'Schedule a post', body: object({ publishAt: dateTime }, ['publishAt']) },
+  { method: 'GET', path: '/api/posts/{folder}/revisions', tag: 'revisions', summary: 'List revisions of a post' },
+  {
+    method: 'GET',
+    path: '/api/posts/{folder}/revisions/diff',
+    tag: 'revisions',
+    summary: 'Diff two revisions, or a revision and the current post',
+    query: object({ from: nonEmpty, to: nonEmpty }, ['from'])
+  },
+  { method: 'GET', path: '/api/posts/{folder}/revisions/{revisionId}', tag: 'revisions', summary: 'Read a revision' },
+  { method: 'POST', path: '/api/posts/{folder}/revisions/{revisionId}/restore', tag: 'revisions', summary: 'Restore a revision' },
+  { method: 'GET', path: '/api/posts/{folder}/history', tag: 'history', summary: 'Git commits of a post', query: object({ limit: { type: 'integer', minimum: 1 } }) },
+  { method: 'GET', path: '/api/posts/{folder}/history/{commit}', tag: 'history', summary: 'A post as it was at a commit', params: { commit: { type: 'string', pattern: '^[0-9a-fA-F]{4,40}$' } } },
+  { method: 'GET', path: '/api/posts/{folder}/links', tag: 'links', summary: 'Outgoing links and backlinks of a post' },
+  { method: 'GET', path: '/api/posts/{folder}/preview', tag: 'preview', summary: 'Render a saved post to HTML' },
+  { method: 'GET', path: '/api/posts/{folder}/assets', tag: 'assets', summary: 'List a post\'s files with sizes, types and references' },
+  { method: 'PUT', path: '/api/posts/{folder}/assets/{file}', tag: 'assets', summary: 'Rename an asset and update references', body: object({ name: nonEmpty }, ['name']) },
+  {
+    method: 'DELETE',
+    path: '/api/posts/{folder}/assets/{file}',
+    tag: 'assets',
+    summary: 'Delete an asset and remove references',
+    query: object({ force: { type: 'boolean', description: 'Also remove references from other posts instead of failing with 409' } })
+  },
+  { method: 'GET', path: '/api/assets/orphans', tag: 'assets', summary: 'Assets no post body, cover or top_img references' },
+  {
+    method: 'POST',
+    path: '/api/preview',
+    tag: 'preview',
+    summary: 'Render markdown and front matter to HTML without saving',
+    body: object({
+      content: { type: 'string', description: 'Markdown body, optionally starting with front matter' },
+      meta: postFields.meta,
+      folder: { ...folderParam, description: 'Post folder that post-relative asset paths resolve against' }
+    }, ['content'])
+  },
+
+  { method: 'GET', path: '/api/tags', tag: 'tags', summary: 'List tags', query: object({ withCounts: flag }) },
+  { method: 'POST', path: '/api/tags', tag: 'tags', summary: 'Add a tag', status: 201, body: object({ name: nonEmpty }, ['name']) },
+  {
+    method: 'POST',
+    path: '/api/tags/merge',
+    tag: 'tags',
+    summary: 'Merge tags into one and rewrite posts',
+    body: object({ sources: { type: 'array', minItems: 1, items: nonEmpty }, target: nonEmpty }, ['sources', 'target'])
+  },
+  { method: 'PUT', path: '/api/tags/{name}', tag: 'tags', summary: 'Rename a tag and rewrite posts', body: object({ name: nonEmpty }, ['name']) },
+  { method: 'DELETE', path: '/api/tags/{name}', tag: 'tags', summary: 'Delete a tag and remove it from posts' },
+
+  { method: 'GET', path: '/api/search', tag: 'posts', summary: 'Full-text search', query: object({ q: nonEmpty, limit: { type: 'integer', minimum: 1 } }, ['q']) },
+
+  { method: 'POST', path: '/api/build', tag: 'build', summary: 'Queue a site build', status: 202 },
+  { method: 'GET', path: '/api/build', tag: 'build', summary: 'List build jobs' },
+  { method: 'GET', path: '/api/build/{id}', tag: 'build', summary: 'Read a build job and its log' },
+  { method: 'DELETE', path: '/api/build/{id}', tag: 'build', summary: 'Cancel a build job' },
+  { method: 'POST', path: '/api/build/{id}/cancel', tag: 'build', summary: 'Cancel a build job' },
+  { method: 'GET', path: '/api/build/{id}/log', tag: 'build', summary: 'Stream the build log', produces: 'text/event-stream' },
+
+  { method: 'POST', path: '/api/upload/session', tag: 'upload sessions', summary: 'Start an upload session', status: 201 },
+  {
+    method: 'POST',
+    path: '/api/upload/note',
+    tag: 'upload sessions',
+    summary: 'Add a markdown note to a session',
+    body: object({ sessionId: nonEmpty, filename: nonEmpty, content: nonEmpty, isMain: flag }, ['sessionId', 'filename', 'content'])
+  },
+  {
+    method: 'POST',
+    path: '/api/upload/archive',
+    tag: 'upload sessions',
+    summary: 'Upload an archive requested by a note',
+    body: object({ sessionId: nonEmpty, sourceUrl: { type: 'string', format: 'uri' }, filename: nonEmpty, data: base64 }, ['sessionId', 'sourceUrl', 'filename', 'data']),
+    multipart: fileForm({ sessionId: nonEmpty, sourceUrl: { type: 'string', format: 'uri' } })
+  },
+  {
+    method: 'POST',
+    path: '/api/upload/attachment',
+    tag: 'upload sessions',
+    summary: 'Upload an attachment embedded by a note',
+    body: object({ sessionId: nonEmpty, filename: nonEmpty, data: base64 }, ['sessionId', 'filename', 'data']),
+    multipart: fileForm({ sessionId: nonEmpty })
+  },
+  {
+    method: 'POST',
+    path: '/api/upload/commit',
+    tag: 'upload sessions',
+    summary: 'Commit a session into posts, or preview it with dryRun',
+    query: object({ dryRun: flag }),
+    body: object({ sessionId: nonEmpty, dryRun: flag }, ['sessionId'])
+  },
+  { method: 'GET', path: '/api/upload/sessions', tag: 'upload sessions', summary: 'List open sessions' },
+  { method: 'GET', path: '/api/upload/session/{sessionId}', tag: 'upload sessions', summary: 'Read a session and what it still needs' },
+  { method: 'DELETE', path: '/api/upload/session/{sessionId}', tag: 'upload sessions', summary: 'Abort a session' },
+
+  {
+    method: 'POST',
+    path: '/api/uploads',
+    tag: 'uploads',
+    summary: 'Start a resumable upload',
+    status: 201,
+    body: object({
+      filename: nonEmpty,
+      size: { type: 'integer', minimum: 1 },
+      sha256,
+      target: object({
+        type: { type: 'string', enum: TARGET_TYPES },
+        folder: folderParam,
+        linkText: string,
+        sessionId: nonEmpty,
+        sourceUrl: { type: 'string', format: 'uri' }
+      }, ['type'])
+    }, ['filename', 'size', 'target'])
+  },
+  { method: 'GET', path: '/api/uploads/{id}', tag: 'uploads', summary: 'Read the offset of a resumable upload' },
+  {
+    method: 'PUT',
+    path: '/api/uploads/{id}',
+    tag: 'uploads',
+    summary: 'Write a chunk at `offset` (query or Upload-Offset header)',
+    query: object({ offset: { type: 'integer', minimum: 0 } }),
+    consumes: 'application/octet-stream'
+  },
+  {
+    method: 'PATCH',
+    path: '/api/uploads/{id}',
+    tag: 'uploads',
+    summary: 'Write a chunk at `offset` (query or Upload-Offset header)',
+    query: object({ offset: { type: 'integer', minimum: 0 } }),
+    consumes: 'application/octet-stream'
+  },
+  { method: 'DELETE', path: '/api/uploads/{id}', tag: 'uploads', summary: 'Abort a resumable upload' },
+  { method: 'POST', path: '/api/uploads/{id}/complete', tag: 'uploads', summary: 'Verify and apply a finished upload', body: object({ sha256 }) },
+
+  { method: 'GET', path: '/api/tokens', tag: 'tokens', summary: 'List API tokens' },
+  {
+    method: 'POST',
+    path: '/api/tokens',
+    tag: 'tokens',
+    summary: 'Create an API token; the secret is only returned here',
+    status: 201,
+    body: object({
+      name: nonEmpty,
+      role: { type: 'string', enum: ROLES },
+      scopes: { anyOf: [nonEmpty, { type: 'array', items: nonEmpty }], description: 'a scope or a list of scopes' }
+    }, ['name', 'role'])
+  },
+  { method: 'DELETE', path: '/api/tokens/{id}', tag: 'tokens', summary: 'Revoke an API token' },
+
+  { method: 'GET', path: '/api/webhooks', tag: 'webhooks', summary: 'List webhooks and the events they can subscribe to' },
+  {
+    method: 'POST',
+    path: '/api/webhooks',
+    tag: 'webhooks',
+    summary: 'Register a webhook; the signing secret is only returned here',
+    status: 201,
+    body: object({ url: { type: 'string', format: 'uri' }, events: webhookEvents, secret: nonEmpty }, ['url'])
+  },
+  {
+    method: 'GET',
+    path: '/api/webhooks/deliveries',
+    tag: 'webhooks',
+    summary: 'List deliveries, newest first',
+    query: object({ webhook: string, event: { type: 'string', enum: EVENTS }, status: { type: 'string', enum: ['pending', 'succeeded', 'failed'] }, limit: { type: 'integer', minimum: 1 } })
+  },
+  { method: 'GET', path: '/api/webhooks/deliveries/{id}', tag: 'webhooks', summary: 'Read a delivery with its attempts' },
+  { method: 'POST', path: '/api/webhooks/deliveries/{id}/redeliver', tag: 'webhooks', summary: 'Send a delivery again', status: 202 },
+  { method: 'PATCH', path: '/api/webhooks/{id}', tag: 'webhooks', summary: 'Update a webhook', body: object({ url: { type: 'string', format: 'uri' }, events: webhookEvents, active: flag }) },
+  { method: 'DELETE', path: '/api/webhooks/{id}', tag: 'webhooks', summary: 'Delete a webhook' },
+
+  {
+    method: 'GET',
+    path: '/api/audit',
+    tag: 'audit',
+    summary: 'Query the audit log, newest first',
+    query: object({ folder: string, action: string, actor: string, sessionId: string, from: dateQuery, to: dateQuery, limit: { type: 'integer', minimum: 1 } })
+  },
+
+  { method: 'GET', path: '/api/export', tag: 'backups', summary: 'Download all content as tar.gz', produces: 'application/gzip' },
+  {
+    method: 'POST',
+    path: '/api/import',
+    tag: 'backups',
+    summary: 'Import an export archive (raw tar.gz body or multipart)',
+    query: object({ mode: { type: 'string', enum: MODES }, onConflict: { type: 'string', enum: ['skip', 'overwrite'] } }),
+    consumes: 'application/gzip',
+    multipart: fileForm({ mode: { type: 'string', enum: MODES }, onConflict: { type: 'string', enum: ['skip', 'overwrite'] } })
+  },
+
+  { method: 'GET', path: '/api/history', tag: 'history', summary: 'Git history status' },
+  { method: 'GET', path: '/api/redirects', tag: 'links', summary: 'Redirects recorded by renames' },
+  { method: 'GET', path: '/api/links/broken', tag: 'links', summary: 'Internal links that point nowhere' },
+
+  { method: 'GET', path: '/api/trash', tag: 'trash', summary: 'List deleted posts' },
+  { method: 'POST', path: '/api/trash/{id}/restore', tag: 'trash', summary: 'Restore a deleted post' },
+  { method: 'DELETE', path: '/api/trash/{id}', tag: 'trash', summary: 'Purge a deleted post' }
+];
+
+const PARAMS = {
+  folder: folderParam,
+  file: { type: 'string', pattern: '^(?!.*\\.\\.)(?![/\\\\])[^\\\\]+$', description: 'File path inside the post folder, URL-encoded (`archives%2Fpage.html`)' }
+};
+
+const compiled = ROUTES.map(route => ({
+  route,
+  names: Array.from(route.path.matchAll(/\{(\w+)\}/g), match => match[1]),
+  pattern: new RegExp(`^${route.path.replace(/[.]/g, '\\.').replace(/\{\w+\}/g, '([^/]+)')}$`)
+}));
+
+// Literal segments win over parameters (`/api/tags/merge` before `/api/tags/{name}`), whatever the table order.
+const specificity = ({ route }) => route.path.split('/').map(segment => (segment.startsWith('{') ? '1' : '0')).join('');
+compiled.sort((left, right) => specificity(left).localeCompare(specificity(right)));
+
+const paramSchema = (route, name) => (route.params && route.params[name]) || PARAMS[name] || nonEmpty;
+
+// Finds the route for a request; `params` are decoded and `paramsSchema` validates them.
+const matchRoute = (method, pathname) => {
+  for (const { route, names, pattern } of compiled) {
+    if (route.method !== method) continue;
+    const match = pattern.exec(pathname);
+    if (!match) continue;
+    const params = {};
+    names.forEach((name, index) => {
+      params[name] = decodeSegment(match[index + 1], `params.${name}`);
+    });
+    const properties = Object.fromEntries(names.map(name => [name, paramSchema(route, name)]));
+    return { route, params, paramsSchema: object(properties, names) };
+  }
+  return null;
+};
+
+const ERROR_SCHEMA = object({
+  error: { type: 'string', description: 'Human-readable message' },
+  code: { type: 'string', description: 'Stable error code, e.g. validation_failed, post_not_found, session_not_ready' },
+  detail: string,
+  errors: {
+    type: 'array',
+    description: 'Present when code is validation_failed',
+    items: object({ path: { type: 'string', description: 'e.g. body.target.type, query.limit, params.folder' }, code: string, message: string })
+  }
+}, ['error', 'code']);
+
+const errorResponse = description => ({ description, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } });
+
+const operation = ({ route, names }, scopeOf) => {
+  const parameters = [
+    ...names.map(name => ({ name, in: 'path', required: true, schema: paramSchema(route, name) })),
+    ...Object.entries((route.query && route.query.properties) || {}).map(([name, schema]) => ({
+      name,
+      in: 'query',
+      required: (route.query.required || []).includes(name),
+      schema,
+      ...(schema.type === 'array' ? { explode: true } : {})
+    }))
+  ];
+  const content = {};
+  if (route.body) content['application/json'] = { schema: route.body };
+  if (route.multipart) content['multipart/form-data'] = { schema: route.multipart };
+  if (route.consumes) content[route.consumes] = { schema: { type: 'string', format: 'binary' } };
+  const scope = scopeOf ? scopeOf(route.method, route.path) : null;
+  return {
+    operationId: `${route.method.toLowerCase()}${route.path.replace(/^\/api/, '').replace(/[{}]/g, '').split(/[/._-]/).filter(Boolean).map(part => part[0].toUpperCase() + part.slice(1)).join('')}`,
+    summary: route.summary,
+    tags: [route.tag],
+    ...(parameters.length ? { parameters } : {}),
+    ...(Object.keys(content).length ? { requestBody: { required: Boolean(route.body && route.body.required.length) || Boolean(route.consumes), content } } : {}),
+    responses: {
+      [route.status || 200]: {
+        description: 'Success',
+        content: { [route.produces || 'application/json']: { schema: route.produces ? { type: 'string' } : { type: 'object' } } }
+      },
+      400: errorResponse('Invalid request (validation_failed lists every problem)'),
+      401: errorResponse('Missing or unknown token'),
+      403: errorResponse('Token lacks the required scope'),
+      404: errorResponse('Not found')
+    },
+    ...(scope ? { 'x-required-scope': scope } : {})
+  };
+};
+
+// `scopeOf(method, path)` adds the scope each operation needs as `x-required-scope`.
+const openApiDocument = ({ title = 'Hexo blog backend API', version = '1.0.0', scopeOf } = {}) => {
+  const paths = {};
+  for (const entry of ROUTES.map(route => compiled.find(item => item.route === route))) {
+    paths[entry.route.path] = paths[entry.route.path] || {};
+    paths[entry.route.path][entry.route.method.toLowerCase()] = operation(entry, scopeOf);
+  }
+  return {
+    openapi: '3.1.0',
+    info: { title, version },
+    security: [{ bearerAuth: [] }],
+    paths,
+    components: {
+      securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer' } },
+      schemas: { Error: ERROR_SCHEMA }
+    }
+  };
+};
+
+module.exports = {
+  ROUTES,
+  matchRoute,
+  openApiDocument
+};
@@ -0,0 +1,105 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const fsp = fs.promises;
+
+const ensureDir = async dir => {
+  await fsp.mkdir(dir, { recursive: true });
+};
+
+const matches = (entry, filters) => {
+  const time = new Date(entry.time).getTime();
+  if (filters.folder && entry.folder !== filters.folder && !(entry.folders || []).includes(filters.folder)) return false;
+  if (filters.action && entry.action !== filters.action && !entry.action.startsWith(`${filters.action}.`)) return false;
+  if (filters.actor && (!entry.actor || entry.actor.id !== filters.actor)) return false;
+  if (filters.sessionId && entry.sessionId !== filters.sessionId) return false;
+  if (filters.from !== undefined && time < filters.from) return false;
+  if (filters.to !== undefined && time > filters.to) return false;
+  return true;
+};
+
+const createAuditLog = (config) => {
+  const auditRoot = config.paths.audit;
+  const currentFile = path.join(auditRoot, 'audit.jsonl');
+  const MAX_BYTES = config.audit.maxBytes;
+  const KEEP_FILES = config.audit.keep;
+
+  let queue = Promise.resolve();
+
+  const rotatedFiles = async () => {
+    try {
+      const entries = await fsp.readdir(auditRoot);
+      return entries.filter(name => /^audit-\d+\.jsonl$/.test(name)).sort().reverse();
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  };
+
+  const rotateIfNeeded = async incoming => {
+    let size = 0;
+    try {
+      size = (await fsp.stat(currentFile)).size;
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      return;
+    }
+    if (size + incoming <= MAX_BYTES) return;
+    await fsp.rename(currentFile, path.join(auditRoot, `audit-${Date.now()}.jsonl`));
+    const stale = (await rotatedFiles()).slice(Math.max(KEEP_FILES, 0));
+    for (const name of stale) {
+      await fsp.rm(path.join(auditRoot, name), { force: true });
+    }
+  };
+
+  // Appends are chained so concurrent requests never interleave lines or race the rotation.
+  const append = entry => {
+    const line = `${JSON.stringify({ time: new Date().toISOString(), ...entry })}\n`;
+    queue = queue.then(async () => {
+      await ensureDir(auditRoot);
+      await rotateIfNeeded(Buffer.byteLength(line));
+      await fsp.appendFile(currentFile, line);
+    }).catch(err => console.error(err));
+    return queue;
+  };
+
+  const readLines = async file => {
+    try {
+      return (await fsp.readFile(path.join(auditRoot, file), 'utf8')).split('\n').filter(Boolean).reverse();
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  };
+
+  // Newest first; `filters` takes folder, action (exact or dotted prefix), actor, sessionId, from/to (ms) and limit.
+  const query = async (filters = {}) => {
+    await queue;
+    const limit = filters.limit || 100;
+    const results = [];
+    for (const file of ['audit.jsonl', ...(await rotatedFiles())]) {
+      for (const line of await readLines(file)) {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          continue;
+        }
+        if (!matches(entry, filters)) continue;
+        results.push(entry);
+        if (results.length >= limit) return results;
+      }
+    }
+    return results;
+  };
+
+  return {
+    append,
+    query
+  };
+};
+
+module.exports = {
+  createAuditLog
+};
@@ -0,0 +1,347 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const fsp = fs.promises;
+const crypto = require('crypto');
+const tar = require('tar');
+
+const FORMAT = 'hexo-backend-backup';
+const VERSION = 1;
+const MODES = ['merge', 'replace'];
+const PLAN_ATTEMPTS = 3;
+
+const httpError = (status, message, body) => Object.assign(new Error(message), { status, body });
+
+const ensureDir = async dir => {
+  await fsp.mkdir(dir, { recursive: true });
+};
+
+const randomId = () => crypto.randomBytes(8).toString('hex');
+
+const isSafeId = id => /^[0-9a-f]+$/.test(id || '');
+
+const listDir = async dir => {
+  try {
+    return await fsp.readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+};
+
+const listFiles = async (dir, prefix = '') => {
+  const files = [];
+  for (const entry of await listDir(path.join(dir, prefix))) {
+    const relative = path.posix.join(prefix, entry.name);
+    if (entry.isDirectory()) files.push(...await listFiles(dir, relative));
+    else if (entry.isFile()) files.push(relative);
+  }
+  return files;
+};
+
+const hashFile = file => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(file)
+    .on('data', chunk => hash.update(chunk))
+    .on('error', reject)
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+const copyIfExists = async (source, target) => {
+  if (!fs.existsSync(source)) return;
+  await ensureDir(path.dirname(target));
+  await fsp.cp(source, target, { recursive: true });
+};
+
+// Only these paths may appear in an archive; folder and session names must pass the same checks as the API.
+const allowedPath = (file, isSafeFolder) => {
+  const parts = file.split('/');
+  if (file === 'manifest.json' || file === 'tags.json' || file === 'redirects.json') return true;
+  if (parts[0] === 'posts') return parts.length >= 3 && isSafeFolder(parts[1]);
+  if (parts[0] === 'uploads' && parts[1] === 'sessions') return parts.length >= 4 && isSafeId(parts[2]);
+  return false;
+};
+
+// Adds up the sizes in the tar headers before anything is written, so a compressed bomb never reaches the disk.
+const measureArchive = (file, { entryBytes, totalBytes }) => new Promise((resolve, reject) => {
+  let total = 0;
+  let tooLarge = null;
+  const source = fs.createReadStream(file);
+  const parser = tar.t({
+    onentry: entry => {
+      if (tooLarge) return;
+      total += entry.size;
+      if (entry.size > entryBytes) {
+        tooLarge = httpError(413, `Archive entry ${entry.path} is larger than ${entryBytes} bytes`, { code: 'archive_too_large', path: entry.path, size: entry.size, limit: entryBytes });
+      } else if (total > totalBytes) {
+        tooLarge = httpError(413, `Archive unpacks to more than ${totalBytes} bytes`, { code: 'archive_too_large', limit: totalBytes });
+      } else {
+        return;
+      }
+      source.destroy();
+      parser.abort(tooLarge);
+    }
+  });
+  const fail = err => reject(tooLarge || httpError(400, 'Archive could not be read', { reason: err.message }));
+  source.on('error', fail);
+  parser.on('error', fail);
+  parser.on('end', () => (tooLarge ? reject(tooLarge) : resolve(total)));
+  source.pipe(parser);
+});
+
+const extractArchive = async (file, dir, isSafeFolder, limits) => {
+  await measureArchive(file, limits);
+  const rejected = [];
+  await ensureDir(dir);
+  try {
+    await tar.x({
+      file,
+      cwd: dir,
+      strict: true,
+      filter: (entryPath, entry) => {
+        const normalized = entryPath.replace(/^\.\//, '').replace(/\/$/, '');
+        if (entry.type === 'Directory') return normalized === '' || ['posts', 'uploads', 'uploads/sessions'].includes(normalized) || allowedPath(`${normalized}/x`, isSafeFolder);
+        if (entry.type !== 'File' || !allowedPath(normalized, isSafeFolder)) {
+          rejected.push(normalized);
+          return false;
+        }
+        return true;
+      }
+    });
+  } catch (err) {
+    throw httpError(400, 'Archive could not be read', { reason: err.message });
+  }
+  if (rejected.length) throw httpError(422, 'Archive contains entries outside the backup layout', { rejected });
+};
+
+const readManifest = async dir => {
+  let manifest;
+  try {
+    manifest = JSON.parse(await fsp.readFile(path.join(dir, 'manifest.json'), 'utf8'));
+  } catch {
+    throw httpError(422, 'Archive has no readable manifest.json');
+  }
+  if (manifest.format !== FORMAT || !Array.isArray(manifest.files)) throw httpError(422, 'Unrecognised manifest format');
+  if (manifest.version > VERSION) throw httpError(422, `Unsupported backup version ${manifest.version}`);
+  return manifest;
+};
+
+const verifyManifest = async (dir, manifest) => {
+  const problems = [];
+  const listed = new Map(manifest.files.map(entry => [entry.path, entry]));
+  for (const file of await listFiles(dir)) {
+    if (file !== 'manifest.json' && !listed.has(file)) problems.push({ path: file, problem: 'not in manifest' });
+  }
+  for (const entry of manifest.files) {
+    const file = path.join(dir, entry.path);
+    if (!fs.existsSync(file)) {
+      problems.push({ path: entry.path, problem: 'missing' });
+    } else if ((await hashFile(file)) !== entry.sha256) {
+      problems.push({ path: entry.path, problem: 'checksum mismatch' });
+    }
+  }
+  if (problems.length) throw httpError(422, 'Archive failed verification', { problems });
+};
+
+const folderHashes = async dir => {
+  const hashes = {};
+  for (const file of await listFiles(dir)) {
+    hashes[file] = await hashFile(path.join(dir, file));
+  }
+  return hashes;
+};
+
+const sameContent = async (left, right) => JSON.stringify(await folderHashes(left)) === JSON.stringify(await folderHashes(right));
+
+const readJSONFile = async (file, fallback) => {
+  try {
+    return JSON.parse(await fsp.readFile(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return fallback;
+    throw err;
+  }
+};
+
+const createBackup = (config, { tagStore, redirects, trash, revisions, locks }) => {
+  const postsRoot = config.paths.posts;
+  const sessionsRoot = config.paths.sessions;
+  const stagingRoot = config.paths.staging;
+  const tagsFile = config.paths.tags;
+  const redirectsFile = config.paths.redirects;
+  const IMPORT_LIMITS = { entryBytes: config.limits.importEntryBytes, totalBytes: config.limits.importUnpackedBytes };
+
+  const postFolders = async () => (await listDir(postsRoot)).filter(entry => entry.isDirectory()).map(entry => entry.name);
+
+  // Copies content into a private snapshot (post folders locked meanwhile), writes the manifest and streams it as tar.gz.
+  const createExport = async () => {
+    const dir = path.join(stagingRoot, `export-${randomId()}`);
+    const cleanup = () => fsp.rm(dir, { recursive: true, force: true }).catch(err => console.error(err));
+    try {
+      const folders = await postFolders();
+      await locks.withFolderLocks(folders, async () => {
+        for (const folder of folders) {
+          await copyIfExists(path.join(postsRoot, folder), path.join(dir, 'posts', folder));
+        }
+      });
+      await copyIfExists(tagsFile, path.join(dir, 'tags.json'));
+      await copyIfExists(redirectsFile, path.join(dir, 'redirects.json'));
+      await copyIfExists(sessionsRoot, path.join(dir, 'uploads', 'sessions'));
+
+      const files = [];
+      for (const file of (await listFiles(dir)).sort()) {
+        const stat = await fsp.stat(path.join(dir, file));
+        files.push({ path: file, size: stat.size, sha256: await hashFile(path.join(dir, file)) });
+      }
+      const manifest = { format: FORMAT, version: VERSION, createdAt: new Date().toISOString(), posts: folders.length, files };
+      await fsp.writeFile(path.join(dir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+
+      const entries = ['manifest.json', ...['posts', 'tags.json', 'redirects.json', 'uploads'].filter(name => fs.existsSync(path.join(dir, name)))];
+      const stream = tar.c({ gzip: true, cwd: dir, portable: true }, entries);
+      stream.on('end', cleanup);
+      stream.on('error', cleanup);
+      return { stream, manifest, cleanup };
+    } catch (err) {
+      await cleanup();
+      throw err;
+    }
+  };
+
+  const planFolders = async (dir, mode, onConflict, isSafeFolder) => {
+    const imported = (await listDir(path.join(dir, 'posts'))).filter(entry => entry.isDirectory()).map(entry => entry.name);
+    for (const folder of imported) {
+      if (!fs.existsSync(path.join(dir, 'posts', folder, 'index.md'))) throw httpError(422, `Post ${folder} has no index.md`, { folder });
+    }
+    const existing = new Set((await postFolders()).filter(isSafeFolder));
+    const plan = [];
+    for (const folder of imported.sort()) {
+      if (!existing.has(folder)) {
+        plan.push({ folder, status: 'added' });
+      } else if (await sameContent(path.join(dir, 'posts', folder), path.join(postsRoot, folder))) {
+        plan.push({ folder, status: 'unchanged' });
+      } else {
+        plan.push({ folder, status: mode === 'replace' || onConflict === 'overwrite' ? 'replaced' : 'conflict' });
+      }
+    }
+    if (mode === 'replace') {
+      const incoming = new Set(imported);
+      Array.from(existing).filter(folder => !incoming.has(folder)).sort().forEach(folder => plan.push({ folder, status: 'removed' }));
+    }
+    return plan;
+  };
+
+  // Applies the plan step by step; any failure undoes the completed steps in reverse before rethrowing.
+  const applyPlan = async (dir, plan, mode) => {
+    const undo = [];
+    const backupDir = path.join(dir, '.backup');
+    try {
+      for (const entry of plan) {
+        const source = path.join(dir, 'posts', entry.folder);
+        const target = path.join(postsRoot, entry.folder);
+        if (entry.status === 'added') {
+          await ensureDir(postsRoot);
+          await fsp.rename(source, target);
+          undo.push(() => fsp.rm(target, { recursive: true, force: true }));
+        } else if (entry.status === 'replaced') {
+          const backup = path.join(backupDir, entry.folder);
+          await ensureDir(backupDir);
+          await fsp.rename(target, backup);
+          undo.push(() => fsp.rm(target, { recursive: true, force: true }).then(() => fsp.rename(backup, target)));
+          await fsp.rename(source, target);
+          await revisions.snapshot(entry.folder, await fsp.readFile(path.join(backup, 'index.md'), 'utf8').catch(() => null), 'import');
+        } else if (entry.status === 'removed') {
+          const trashed = await trash.moveToTrash(entry.folder);
+          entry.trashId = trashed.id;
+          undo.push(() => trash.restore(trashed.id, entry.folder));
+        }
+      }
+
+      const importedTags = await readJSONFile(path.join(dir, 'tags.json'), null);
+      if (importedTags && Array.isArray(importedTags.tags)) {
+        const previous = await readJSONFile(tagsFile, null);
+        const current = mode === 'replace' ? [] : await tagStore.getTags();
+        await tagStore.replaceTags([...current, ...importedTags.tags]);
+        undo.push(() => (previous ? fsp.writeFile(tagsFile, JSON.stringify(previous, null, 2)) : fsp.rm(tagsFile, { force: true })));
+      }
+
+      const importedRedirects = await readJSONFile(path.join(dir, 'redirects.json'), null);
+      if (importedRedirects && Array.isArray(importedRedirects.redirects)) {
+        const previous = await redirects.listRedirects();
+        const kept = mode === 'replace' ? [] : previous;
+        const known = new Set(kept.map(item => item.from));
+        await redirects.replaceRedirects([...kept, ...importedRedirects.redirects.filter(item => !known.has(item.from))]);
+        undo.push(() => redirects.replaceRedirects(previous));
+      }
+
+      const sessions = [];
+      if (mode === 'replace' && fs.existsSync(sessionsRoot)) {
+        const backup = path.join(backupDir, 'sessions');
+        await ensureDir(backupDir);
+        await fsp.rename(sessionsRoot, backup);
+        undo.push(() => fsp.rm(sessionsRoot, { recursive: true, force: true }).then(() => fsp.rename(backup, sessionsRoot)));
+      }
+      for (const entry of await listDir(path.join(dir, 'uploads', 'sessions'))) {
+        const target = path.join(sessionsRoot, entry.name);
+        if (!entry.isDirectory() || fs.existsSync(target)) continue;
+        await ensureDir(sessionsRoot);
+        await fsp.rename(path.join(dir, 'uploads', 'sessions', entry.name), target);
+        undo.push(() => fsp.rm(target, { recursive: true, force: true }));
+        sessions.push(entry.name);
+      }
+      return { sessions };
+    } catch (err) {
+      for (const step of undo.reverse()) {
+        await step().catch(undoErr => console.error(undoErr));
+      }
+      throw err;
+    }
+  };
+
+  // `mode` is `merge` (default: add new posts, report differing ones as conflicts unless `onConflict` is `overwrite`)
+  // or `replace` (the archive becomes the whole content; posts missing from it go to the trash).
+  const importArchive = async (file, { mode = 'merge', onConflict = 'skip', isSafeFolder }) => {
+    if (!MODES.includes(mode)) throw httpError(400, `mode must be one of ${MODES.join(', ')}`);
+    if (!['skip', 'overwrite'].includes(onConflict)) throw httpError(400, 'onConflict must be skip or overwrite');
+    const dir = path.join(stagingRoot, `import-${randomId()}`);
+    try {
+      await extractArchive(file, dir, isSafeFolder, IMPORT_LIMITS);
+      const manifest = await readManifest(dir);
+      await verifyManifest(dir, manifest);
+      let locked = (await planFolders(dir, mode, onConflict, isSafeFolder)).map(entry => entry.folder);
+      for (let attempt = 0; attempt < PLAN_ATTEMPTS; attempt++) {
+        const result = await locks.withFolderLocks(locked, async () => {
+          // Re-plan under the locks so a post edited since the first pass is judged on its current content.
+          // A post created meanwhile can add a folder (`removed` in replace mode); lock it too and plan again.
+          const plan = await planFolders(dir, mode, onConflict, isSafeFolder);
+          const unlocked = plan.map(entry => entry.folder).filter(folder => !locked.includes(folder));
+          if (unlocked.length) {
+            locked = locked.concat(unlocked);
+            return null;
+          }
+          const { sessions } = await applyPlan(dir, plan, mode);
+          return {
+            mode,
+            exportedAt: manifest.createdAt,
+            folders: plan,
+            conflicts: plan.filter(entry => entry.status === 'conflict').map(entry => entry.folder),
+            sessions
+          };
+        });
+        if (result) return result;
+      }
+      throw httpError(409, 'Posts kept changing while the import was planned; try again', { code: 'conflict' });
+    } finally {
+      await fsp.rm(dir, { recursive: true, force: true });
+    }
+  };
+
+  return {
+    createExport,
+    importArchive
+  };
+};
+
+module.exports = {
+  MODES,
+  createBackup
+};
@@ -0,0 +1,1756 @@
+'use strict';
+
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+const fsp = fs.promises;
+const crypto = require('crypto');
+const { pipeline, Transform } = require('stream');
+const fm = require('hexo-front-matter');
+const yaml = require('js-yaml');
+const { slugize } = require('hexo-util');
+const { resolveConfig } = require('./config');
+const { UID_FIELD, newUid, createUploadSessions } = require('./uploadSessions');
+const { createTagStore, DEFAULT_TAG } = require('./tagStore');
+const { createRevisions, CURRENT } = require('./revisions');
+const { createTrash } = require('./trash');
+const { createSearchIndex } = require('./searchIndex');
+const postQuery = require('./postQuery');
+const publishing = require('./publishing');
+const { createBuildJobs } = require('./buildJobs');
+const multipart = require('./multipart');
+const { createChunkedUploads } = require('./chunkedUploads');
+const images = require('./images');
+const { createTokenStore, ROLE_SCOPES, hashSecret } = require('./tokenStore');
+const { createAuditLog } = require('./auditLog');
+const { createFolderLocks } = require('./folderLocks');
+const { createLinkGraph } = require('./linkGraph');
+const { createPreview } = require('./preview');
+const { REFERENCE_FIELDS, assetRewriter, assetRemover, createPostAssets } = require('./postAssets');
+const { createRedirects } = require('./redirects');
+const { createBackup } = require('./backup');
+const { createWebhooks, EVENTS } = require('./webhooks');
+const { createGitHistory } = require('./gitHistory');
+const { permalinkFromFolder } = require('./links');
+const { matchRoute, openApiDocument } = require('./apiSchema');
+const { errorCode, httpError, assertValid, validationError, decodeSegment, queryObject } = require('./validation');
+
+const TRASH_PURGE_INTERVAL = 60 * 60 * 1000;
+const SESSION_SWEEP_INTERVAL = 15 * 60 * 1000;
+
+const respond = (res, status, payload, headers = {}) => {
+  const body = JSON.stringify(payload);
+  res.writeHead(status, Object.assign({
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(body),
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-Match, If-None-Match',
+    'Access-Control-Expose-Headers': 'ETag'
+  }, headers));
+  res.end(body);
+};
+
+const notFound = (res) => respond(res, 404, { error: 'Not found', code: 'not_found' });
+
+const postNotFound = () => httpError(404, 'Post not found', 'post_not_found');
+
+const toSlug = (value) => {
+  const base = slugize(value || '', { transform: 1 }) || '';
+  const ascii = base.replace(/[^a-z0-9-]/g, '');
+  return ascii || `post-${Date.now()}`;
+};
+
+const formatDate = (value) => {
+  const date = value ? new Date(value) : new Date();
+  if (Number.isNaN(date.getTime())) return new Date().toISOString();
+  return date.toISOString();
+};
+
+const folderFromMeta = (meta) => {
+  const dateOnly = (meta.date || '').slice(0, 10);
+  return `${dateOnly}-${meta.slug}`;
+};
+
+const ensureDir = async (dir) => {
+  await fsp.mkdir(dir, { recursive: true });
+};
+
+const normalizeTags = (tags) => {
+  if (!tags) return [DEFAULT_TAG];
+  const list = Array.isArray(tags) ? tags : [tags];
+  const cleaned = Array.from(new Set(list.map(tag => tag && tag.toString().trim()).filter(Boolean)));
+  return cleaned.length ? cleaned : [DEFAULT_TAG];
+};
+
+const GALLERY_START = '<div class="upload-gallery" style="display: flex; flex-wrap: wrap; gap: 10px; justify-content: center;">';
+const GALLERY_END = '</div>';
+const GALLERY_WIDTH = 440;
+const buildGalleryAnchor = (imgPath, image) => {
+  if (!image) return `    <a href="${imgPath}"><img src="${imgPath}" width="${GALLERY_WIDTH}" height="300" style="object-fit: cover;"></a>`;
+  const height = Math.round(GALLERY_WIDTH * image.height / image.width);
+  const srcset = [image.thumbnail, ...image.variants].map(entry => `${entry.path} ${entry.width}w`).join(', ');
+  return `    <a href="${imgPath}"><img src="${image.thumbnail.path}" srcset="${srcset}" sizes="${GALLERY_WIDTH}px" width="${GALLERY_WIDTH}" height="${height}" loading="lazy" style="object-fit: cover;"></a>`;
+};
+
+const appendImageToContent = (content, imgPath, image) => {
+  if (!imgPath) return content;
+  if (content.includes(imgPath)) return content;
+
+  const start = content.indexOf(GALLERY_START);
+  const end = start !== -1 ? content.indexOf(GALLERY_END, start + GALLERY_START.length) : -1;
+  const anchor = buildGalleryAnchor(imgPath, image);
+
+  if (start !== -1 && end !== -1) {
+    const before = content.slice(0, end);
+    const after = content.slice(end);
+    const newline = before.endsWith('\n') ? '' : '\n';
+    return `${before}${newline}${anchor}\n${after}`;
+  }
+
+  const trimmed = content.trimEnd();
+  const prefix = trimmed ? `${trimmed}\n\n` : '';
+  return `${prefix}${GALLERY_START}\n${anchor}\n${GALLERY_END}\n`;
+};
+
+const appendArchiveLink = (content, linkPath, linkText) => {
+  if (!linkPath) return content;
+  if (content.includes(linkPath)) return content;
+  const label = linkText && linkText.trim() ? linkText.trim() : linkPath;
+  const markdown = `[${label}](${linkPath})`;
+  const trimmed = (content || '').trimEnd();
+  const prefix = trimmed ? `${trimmed}\n\n` : '';
+  return `${prefix}${markdown}\n`;
+};
+
+const isSafeFolder = (folder) => {
+  if (!folder) return false;
+  if (folder.includes('..') || folder.includes('/') || folder.includes('\\')) return false;
+  return true;
+};
+
+const readIfExists = async (file) => {
+  try {
+    return await fsp.readFile(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+};
+
+const etagOf = (raw) => `"${crypto.createHash('sha256').update(raw).digest('hex').slice(0, 32)}"`;
+
+const etagMatches = (header, etag) => header.split(',').map(tag => tag.trim().replace(/^W\//, '')).some(tag => tag === '*' || tag === etag);
+
+const summarizePost = (folder, meta, stat) => ({
+  folder,
+  title: meta.title,
+  slug: meta.slug,
+  date: meta.date,
+  cover: meta.cover || null,
+  tags: meta.tags,
+  draft: meta.published === false,
+  state: publishing.getState(meta),
+  publishAt: meta.publishAt || null,
+  updated: stat.mtime.toISOString()
+});
+
+const parsePath = (reqUrl) => {
+  const url = new URL(reqUrl, 'http://localhost');
+  return { pathname: url.pathname, searchParams: url.searchParams };
+};
+
+const noteAudit = (req, details) => {
+  req.audit = Object.assign(req.audit || {}, details);
+};
+
+const actorOf = (req) => {
+  const { id, name, role } = req.auth;
+  return { id, name, role };
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A site-relative URL starts the text or follows a markdown or attribute delimiter; the same path
+// under a scheme or host (`https://other.site/posts/<folder>/`) belongs to another site.
+const SITE_URL_START = '(?<=^|[("\'<\\s,])';
+
+// Rewrites `/posts/<folder>/` asset paths and the post's permalink (with or without trailing slash).
+const referenceRewriter = (currentFolder, nextFolder) => {
+  const oldLink = permalinkFromFolder(currentFolder).replace(/\/$/, '');
+  const newLink = permalinkFromFolder(nextFolder).replace(/\/$/, '');
+  const assetPattern = new RegExp(`${SITE_URL_START}/posts/${escapeRegExp(currentFolder)}/`, 'g');
+  const permalinkPattern = new RegExp(`${SITE_URL_START}${escapeRegExp(oldLink)}(?=[/)"'\\s#?]|$)`, 'g');
+  return (text) => (typeof text === 'string'
+    ? text.replace(assetPattern, () => `/posts/${nextFolder}/`).replace(permalinkPattern, () => newLink)
+    : text);
+};
+
+// hexo-generator-alias reads `alias` (string or list) and serves a redirect page at each path.
+const withAlias = (meta, oldPermalink, newPermalink) => {
+  const current = Array.isArray(meta.alias) ? meta.alias : (meta.alias ? [meta.alias] : []);
+  const alias = Array.from(new Set([...current, oldPermalink])).filter(entry => entry !== newPermalink);
+  return Object.assign({}, meta, { alias });
+};
+
+const moveFile = async (source, target) => {
+  try {
+    await fsp.rename(source, target);
+  } catch (err) {
+    if (err.code !== 'EXDEV') throw err;
+    await fsp.copyFile(source, target);
+    await fsp.rm(source, { force: true });
+  }
+};
+
+const discardFiles = async (files) => {
+  await Promise.all(files.map(file => fsp.rm(file.path, { force: true })));
+};
+
+// Streams a raw request body to `dest`, failing with 413 once `limit` bytes are exceeded.
+const saveRequestBody = (req, dest, limit) => new Promise((resolve, reject) => {
+  let size = 0;
+  const guard = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > limit) {
+        callback(Object.assign(new Error('Payload too large'), { status: 413 }));
+        return;
+      }
+      callback(null, chunk);
+    }
+  });
+  pipeline(req, guard, fs.createWriteStream(dest), err => (err ? reject(err) : resolve(size)));
+});
+
+const assertArchiveName = (filename) => {
+  const safeName = path.basename(filename || '');
+  if (!safeName || safeName.includes('..') || safeName.includes('/') || safeName.includes('\\')) {
+    throw Object.assign(new Error('Invalid filename'), { status: 400 });
+  }
+  if (!/\.html?$/i.test(safeName)) {
+    throw Object.assign(new Error('Only HTML/HTM files are supported'), { status: 400 });
+  }
+  return safeName;
+};
+
+/**
+ * Creates the API server from `options` (the config file's shape, see lib/config.js) with its
+ * own stores, caches and timers, so several blogs can run in one process. Nothing listens or
+ * runs in the background until `start()`.
+ */
+const createBlogServer = (options = {}) => {
+  const config = resolveConfig(options);
+  const AUTH_TOKEN = config.token;
+  const ROOT = config.root;
+  const POSTS_DIR = config.paths.posts;
+  const UPLOAD_TMP_DIR = config.paths.uploadTmp;
+  const UPLOAD_MAX_BYTES = config.limits.uploadBytes;
+  const SCHEDULER_INTERVAL = config.scheduler.intervalSeconds * 1000;
+
+  const locks = createFolderLocks();
+  const tagStore = createTagStore(config);
+  const tokenStore = createTokenStore(config);
+  const redirects = createRedirects(config);
+  const auditLog = createAuditLog(config);
+  const revisions = createRevisions(config);
+  const trash = createTrash(config, { revisions });
+  const searchIndex = createSearchIndex();
+  const chunkedUploads = createChunkedUploads(config);
+  const linkGraph = createLinkGraph(config);
+  const preview = createPreview(config, { linkGraph });
+  const postAssets = createPostAssets(config);
+  const backup = createBackup(config, { tagStore, redirects, trash, revisions, locks });
+  const gitHistory = createGitHistory(config);
+  const webhooks = createWebhooks(config);
+  const buildJobs = createBuildJobs(config, { webhooks });
+  const uploadSessions = createUploadSessions(config, { revisions, locks, webhooks, gitHistory });
+
+  const readJsonBody = (req, limit = config.limits.jsonBytes) => new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(Object.assign(new Error('Payload too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        const raw = Buffer.concat(chunks).toString();
+        const data = raw ? JSON.parse(raw) : {};
+        // The dispatcher sets `req.route`; its body schema applies to every JSON body of that route.
+        resolve(req.route && req.route.body ? assertValid(req.route.body, data, 'body') : data);
+      } catch (err) {
+        reject(err.status ? err : httpError(400, 'Invalid JSON', 'invalid_json'));
+      }
+    });
+    req.on('error', reject);
+  });
+
+  const writePostFile = async (folderName, meta, content, reason = 'update') => {
+    const dir = path.join(POSTS_DIR, folderName);
+    await ensureDir(dir);
+    const body = content.endsWith('\n') ? content : `${content}\n`;
+    const finalMeta = { ...meta, tags: normalizeTags(meta.tags) };
+    // Posts written before uids were assigned get one on their next save.
+    if (!finalMeta[UID_FIELD]) finalMeta[UID_FIELD] = newUid();
+    const yamlStr = yaml.dump(finalMeta, { lineWidth: Infinity });
+    const fileContent = `---\n${yamlStr}---\n${body}`;
+    const indexPath = path.join(dir, 'index.md');
+    const previous = await readIfExists(indexPath);
+    if (previous !== null && previous !== fileContent) {
+      await revisions.snapshot(folderName, previous, reason);
+    }
+    await fsp.writeFile(indexPath, fileContent);
+    if (searchIndex.isBuilt()) searchIndex.indexPost(folderName, finalMeta, body);
+    return { dir, fileContent, meta: finalMeta };
+  };
+
+  const uniqueFolderName = (base) => {
+    let folderName = base;
+    let suffix = 1;
+    while (fs.existsSync(path.join(POSTS_DIR, folderName))) {
+      folderName = `${base}-${suffix++}`;
+    }
+    return folderName;
+  };
+
+  const getFolders = async () => {
+    await ensureDir(POSTS_DIR);
+    const entries = await fsp.readdir(POSTS_DIR, { withFileTypes: true });
+    return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+  };
+
+  const loadPost = async (folder) => {
+    const dir = path.join(POSTS_DIR, folder);
+    const indexPath = path.join(dir, 'index.md');
+    const raw = await readIfExists(indexPath);
+    if (raw === null) throw postNotFound();
+    const data = fm.parse(raw);
+    const content = data._content || '';
+    delete data._content;
+    const folderDate = folder.slice(0, 10);
+    const folderSlug = folder.slice(11) || folder;
+    if (!data.slug) data.slug = folderSlug;
+    if (!data.date) data.date = `${folderDate}T00:00:00.000Z`;
+    if (!data.title) data.title = folderSlug;
+    if (!Array.isArray(data.tags)) {
+      data.tags = normalizeTags(data.tags);
+    } else if (!data.tags.length) {
+      data.tags = normalizeTags([]);
+    }
+    return { meta: data, content, dir, indexPath, raw };
+  };
+
+  // Rejects a write with 412 and the current version when the client's If-Match is stale.
+  const assertIfMatch = async (ifMatch, folder) => {
+    if (!ifMatch) return;
+    assertPostExists(folder);
+    const current = await loadPost(folder);
+    const etag = etagOf(current.raw);
+    if (!etagMatches(ifMatch, etag)) {
+      throw Object.assign(new Error('Precondition failed: post was modified'), {
+        status: 412,
+        body: { folder, etag, meta: current.meta, content: current.content }
+      });
+    }
+  };
+
+  const postMetaCache = new Map();
+
+  const listPosts = async () => {
+    const folders = await getFolders();
+    const results = [];
+    for (const folder of folders) {
+      try {
+        const stat = await fsp.stat(path.join(POSTS_DIR, folder, 'index.md'));
+        const cached = postMetaCache.get(folder);
+        if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+          results.push(cached.summary);
+          continue;
+        }
+        const { meta } = await loadPost(folder);
+        const summary = summarizePost(folder, meta, stat);
+        postMetaCache.set(folder, { mtimeMs: stat.mtimeMs, size: stat.size, summary });
+        results.push(summary);
+      } catch {
+        postMetaCache.delete(folder);
+        continue;
+      }
+    }
+    const present = new Set(folders);
+    for (const folder of postMetaCache.keys()) {
+      if (!present.has(folder)) postMetaCache.delete(folder);
+    }
+    return results.sort((a, b) => new Date(b.date) - new Date(a.date));
+  };
+
+  const ensureSearchIndex = async () => {
+    if (searchIndex.isBuilt()) return;
+    const entries = [];
+    for (const folder of await getFolders()) {
+      try {
+        const { meta, content } = await loadPost(folder);
+        entries.push({ folder, meta, content });
+      } catch {
+        continue;
+      }
+    }
+    searchIndex.rebuild(entries);
+  };
+
+  const refreshSearchEntry = async (folder) => {
+    if (!searchIndex.isBuilt()) return;
+    try {
+      const { meta, content } = await loadPost(folder);
+      searchIndex.indexPost(folder, meta, content);
+    } catch {
+      searchIndex.removePost(folder);
+    }
+  };
+
+  const ENV_TOKEN_HASH = AUTH_TOKEN ? hashSecret(AUTH_TOKEN) : null;
+
+  const authorize = async (req) => {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : header;
+    if (!token) return null;
+    if (ENV_TOKEN_HASH && crypto.timingSafeEqual(hashSecret(token), ENV_TOKEN_HASH)) {
+      return { id: 'env', name: 'BLOG_API_TOKEN', role: 'admin', scopes: ROLE_SCOPES.admin };
+    }
+    return await tokenStore.verifyToken(token);
+  };
+
+  const requiredScope = (method, pathname) => {
+    if (pathname === '/api/tokens' || pathname.startsWith('/api/tokens/')) return 'admin';
+    if (pathname === '/api/audit') return 'admin';
+    if (pathname === '/api/export' || pathname === '/api/import') return 'admin';
+    if (pathname === '/api/webhooks' || pathname.startsWith('/api/webhooks/')) return 'admin';
+    if (method === 'GET' || pathname === '/api/preview') return 'read';
+    if (pathname === '/api/tags/merge' || pathname.startsWith('/api/tags/')) return 'admin';
+    if (pathname.startsWith('/api/trash/')) return 'admin';
+    if (method === 'DELETE' && /^\/api\/posts\/[^/]+\/?$/.test(pathname)) return 'admin';
+    if (pathname === '/api/build' || pathname.startsWith('/api/build/')) return 'publish';
+    if (/^\/api\/posts\/[^/]+\/(publish|unpublish|schedule)$/.test(pathname)) return 'publish';
+    return 'write';
+  };
+
+  const AUDIT_ROUTES = [
+    ['POST', /^\/api\/posts$/, 'post.create'],
+    ['PUT', /^\/api\/posts\/([^/]+)$/, 'post.update', 'folder'],
+    ['DELETE', /^\/api\/posts\/([^/]+)$/, 'post.delete', 'folder'],
+    ['POST', /^\/api\/posts\/([^/]+)\/images$/, 'post.image.upload', 'folder'],
+    ['POST', /^\/api\/posts\/([^/]+)\/archives$/, 'post.archive.upload', 'folder'],
+    ['PUT', /^\/api\/posts\/([^/]+)\/assets\/[^/]+$/, 'post.asset.rename', 'folder'],
+    ['DELETE', /^\/api\/posts\/([^/]+)\/assets\/[^/]+$/, 'post.asset.delete', 'folder'],
+    ['POST', /^\/api\/posts\/([^/]+)\/(publish|unpublish|schedule)$/, 'post.state', 'folder'],
+    ['POST', /^\/api\/posts\/([^/]+)\/revisions\/[^/]+\/restore$/, 'post.revision.restore', 'folder'],
+    ['POST', /^\/api\/tags$/, 'tag.create'],
+    ['POST', /^\/api\/tags\/merge$/, 'tag.merge'],
+    ['PUT', /^\/api\/tags\/([^/]+)$/, 'tag.rename', 'tag'],
+    ['DELETE', /^\/api\/tags\/([^/]+)$/, 'tag.delete', 'tag'],
+    ['POST', /^\/api\/build$/, 'build.start'],
+    ['POST', /^\/api\/build\/([^/]+)\/cancel$/, 'build.cancel', 'jobId'],
+    ['DELETE', /^\/api\/build\/([^/]+)$/, 'build.cancel', 'jobId'],
+    ['POST', /^\/api\/upload\/session$/, 'upload.session.create'],
+    ['POST', /^\/api\/upload\/note$/, 'upload.note'],
+    ['POST', /^\/api\/upload\/archive$/, 'upload.archive'],
+    ['POST', /^\/api\/upload\/attachment$/, 'upload.attachment'],
+    ['POST', /^\/api\/import$/, 'content.import'],
+    ['POST', /^\/api\/upload\/commit$/, 'upload.commit'],
+    ['DELETE', /^\/api\/upload\/session\/([^/]+)$/, 'upload.session.abort', 'sessionId'],
+    ['POST', /^\/api\/uploads$/, 'upload.chunked.start'],
+    ['PUT', /^\/api\/uploads\/([^/]+)$/, 'upload.chunked.write', 'uploadId'],
+    ['PATCH', /^\/api\/uploads\/([^/]+)$/, 'upload.chunked.write', 'uploadId'],
+    ['POST', /^\/api\/uploads\/([^/]+)\/complete$/, 'upload.chunked.complete', 'uploadId'],
+    ['DELETE', /^\/api\/uploads\/([^/]+)$/, 'upload.chunked.abort', 'uploadId'],
+    ['POST', /^\/api\/trash\/([^/]+)\/restore$/, 'trash.restore', 'trashId'],
+    ['DELETE', /^\/api\/trash\/([^/]+)$/, 'trash.purge', 'trashId'],
+    ['POST', /^\/api\/tokens$/, 'token.create'],
+    ['DELETE', /^\/api\/tokens\/([^/]+)$/, 'token.revoke', 'tokenId'],
+    ['POST', /^\/api\/webhooks$/, 'webhook.create'],
+    ['PATCH', /^\/api\/webhooks\/([^/]+)$/, 'webhook.update', 'webhookId'],
+    ['DELETE', /^\/api\/webhooks\/([^/]+)$/, 'webhook.delete', 'webhookId'],
+    ['POST', /^\/api\/webhooks\/deliveries\/([^/]+)\/redeliver$/, 'webhook.redeliver', 'deliveryId']
+  ];
+
+  const describeMutation = (method, pathname) => {
+    for (const [routeMethod, pattern, action, key] of AUDIT_ROUTES) {
+      if (routeMethod !== method) continue;
+      const match = pattern.exec(pathname);
+      if (!match) continue;
+      const described = { action };
+      if (key) {
+        try {
+          described[key] = decodeURIComponent(match[1]);
+        } catch {
+          described[key] = match[1];
+        }
+      }
+      if (action === 'post.state') described.action = `post.${match[2]}`;
+      return described;
+    }
+    return { action: 'unknown' };
+  };
+
+  // Git paths are relative to the content root.
+  const rootPath = (file) => path.relative(ROOT, file);
+
+  const postPath = (folder) => rootPath(path.join(POSTS_DIR, folder));
+
+  const recordAudit = (req, res, pathname) => {
+    auditLog.append(Object.assign({
+      actor: actorOf(req),
+      method: req.method,
+      route: pathname,
+      status: res.statusCode
+    }, describeMutation(req.method, pathname), req.audit));
+  };
+
+  const assertScope = (req, scope) => {
+    if (!req.auth || !req.auth.scopes.includes(scope)) {
+      throw Object.assign(new Error('Forbidden'), { status: 403, body: { requiredScope: scope } });
+    }
+  };
+
+  const rewriteReferences = async (currentFolder, nextFolder) => {
+    const rewrite = referenceRewriter(currentFolder, nextFolder);
+    const touched = [];
+    for (const folder of await getFolders()) {
+      if (folder === nextFolder) continue;
+      const changed = await locks.withFolderLock(folder, async () => {
+        let post;
+        try {
+          post = await loadPost(folder);
+        } catch {
+          return false;
+        }
+        const meta = Object.assign({}, post.meta);
+        REFERENCE_FIELDS.forEach(field => {
+          if (meta[field]) meta[field] = rewrite(meta[field]);
+        });
+        const content = rewrite(post.content);
+        if (content === post.content && REFERENCE_FIELDS.every(field => meta[field] === post.meta[field])) return false;
+        await writePostFile(folder, meta, content, 'references');
+        return true;
+      });
+      if (changed) touched.push(folder);
+    }
+    return touched;
+  };
+
+  const handleCreatePost = async (req, res) => {
+    const body = await readJsonBody(req);
+    const slug = toSlug(body.slug || body.title);
+    const isoDate = formatDate(body.date);
+    const meta = Object.assign({ [UID_FIELD]: newUid() }, body.meta || {}, {
+      title: body.title,
+      slug,
+      date: isoDate
+    });
+    meta.tags = normalizeTags(meta.tags || DEFAULT_TAG);
+    const requested = publishing.stateFromBody(body);
+    if (requested) assertScope(req, 'publish');
+    const finalMeta = requested ? publishing.applyState(meta, requested.state, requested.publishAt) : meta;
+    const folderBase = folderFromMeta(finalMeta);
+    await ensureDir(POSTS_DIR);
+    const folderName = uniqueFolderName(folderBase);
+    await writePostFile(folderName, finalMeta, body.content);
+    noteAudit(req, { folder: folderName, summary: { title: finalMeta.title, tags: finalMeta.tags, state: publishing.getState(finalMeta) } });
+    await gitHistory.commit([postPath(folderName)], `Create post ${folderName}`, actorOf(req));
+    webhooks.emit('post.created', { folder: folderName, permalink: permalinkFromFolder(folderName), meta: finalMeta }, actorOf(req));
+    respond(res, 201, { folder: folderName, meta: finalMeta });
+  };
+
+  const readUploadForm = async (req) => {
+    const { fields, files } = await multipart.parseMultipart(req, { tmpDir: UPLOAD_TMP_DIR, limit: UPLOAD_MAX_BYTES });
+    const [file] = files;
+    if (!file) {
+      throw Object.assign(new Error('A file part is required'), { status: 400 });
+    }
+    if (fields.sha256 && fields.sha256.toLowerCase() !== file.sha256) {
+      await discardFiles([file]);
+      throw Object.assign(new Error('Checksum mismatch'), { status: 422, body: { sha256: file.sha256 } });
+    }
+    if (req.route && req.route.multipart) {
+      try {
+        assertValid(req.route.multipart, { ...fields, file: file.filename }, 'body');
+      } catch (err) {
+        await discardFiles([file]);
+        throw err;
+      }
+    }
+    return { fields, file };
+  };
+
+  const assertPostExists = (folder) => {
+    if (!fs.existsSync(path.join(POSTS_DIR, folder, 'index.md'))) {
+      throw postNotFound();
+    }
+  };
+
+  const storeImage = (folder, filename, place, ifMatch) => locks.withFolderLock(folder, async () => {
+    await assertIfMatch(ifMatch, folder);
+    assertPostExists(folder);
+    await ensureDir(UPLOAD_TMP_DIR);
+    const tmpPath = path.join(UPLOAD_TMP_DIR, `${crypto.randomBytes(8).toString('hex')}.img`);
+    let processed;
+    try {
+      await place(tmpPath);
+      processed = await images.processImage(tmpPath, path.join(POSTS_DIR, folder), filename);
+    } finally {
+      await fsp.rm(tmpPath, { force: true });
+    }
+    const assetPath = name => `/posts/${folder}/${encodeURIComponent(name)}`;
+    const image = {
+      ...processed,
+      path: assetPath(processed.filename),
+      variants: processed.variants.map(variant => ({ ...variant, path: assetPath(variant.filename) })),
+      thumbnail: { ...processed.thumbnail, path: assetPath(processed.thumbnail.filename) }
+    };
+
+    const { meta, content } = await loadPost(folder);
+    const nextContent = appendImageToContent(content, image.path, image);
+    const { fileContent } = await writePostFile(folder, meta, nextContent, 'image');
+    return { path: image.path, image, content: nextContent, etag: etagOf(fileContent) };
+  });
+
+  const storeArchive = (folder, filename, linkText, place, ifMatch) => locks.withFolderLock(folder, async () => {
+    await assertIfMatch(ifMatch, folder);
+    assertPostExists(folder);
+    const safeName = assertArchiveName(filename);
+    const targetDir = path.join(POSTS_DIR, folder, 'archives');
+    await ensureDir(targetDir);
+    await place(path.join(targetDir, safeName));
+
+    const linkPath = `/posts/${folder}/archives/${encodeURIComponent(safeName)}`;
+    const { meta, content } = await loadPost(folder);
+    const nextContent = appendArchiveLink(content, linkPath, linkText);
+    const { fileContent } = await writePostFile(folder, meta, nextContent, 'archive');
+    return { path: linkPath, content: nextContent, etag: etagOf(fileContent) };
+  });
+
+  const recordAssetAdded = async (req, folder, reason, result) => {
+    await gitHistory.commit([postPath(folder)], `Add ${reason} ${decodeURIComponent(path.posix.basename(result.path))} to ${folder}`, actorOf(req));
+    webhooks.emit('post.updated', { folder, permalink: permalinkFromFolder(folder), reason, path: result.path }, actorOf(req));
+  };
+
+  const handleUploadImage = async (req, res, folder) => {
+    if (multipart.isMultipart(req)) {
+      const { fields, file } = await readUploadForm(req);
+      try {
+        const result = await storeImage(folder, fields.filename || file.filename, dest => moveFile(file.path, dest), req.headers['if-match']);
+        noteAudit(req, { summary: { path: result.path, size: file.size } });
+        await recordAssetAdded(req, folder, 'image', result);
+        return respond(res, 200, { ...result, size: file.size, sha256: file.sha256 }, { ETag: result.etag });
+      } finally {
+        await discardFiles([file]);
+      }
+    }
+
+    const { filename, data } = await readJsonBody(req, config.limits.inlineUploadBytes);
+    const buffer = Buffer.from(data.replace(/^data:.+;base64,/, ''), 'base64');
+    const result = await storeImage(folder, filename, dest => fsp.writeFile(dest, buffer), req.headers['if-match']);
+    noteAudit(req, { summary: { path: result.path, size: buffer.length } });
+    await recordAssetAdded(req, folder, 'image', result);
+    respond(res, 200, result, { ETag: result.etag });
+  };
+
+  const handleUploadArchiveFile = async (req, res, folder) => {
+    if (multipart.isMultipart(req)) {
+      const { fields, file } = await readUploadForm(req);
+      try {
+        const result = await storeArchive(folder, fields.filename || file.filename, fields.linkText, dest => moveFile(file.path, dest), req.headers['if-match']);
+        noteAudit(req, { summary: { path: result.path, size: file.size } });
+        await recordAssetAdded(req, folder, 'archive', result);
+        return respond(res, 200, { ...result, size: file.size, sha256: file.sha256 }, { ETag: result.etag });
+      } finally {
+        await discardFiles([file]);
+      }
+    }
+
+    const { filename, data, linkText } = await readJsonBody(req, config.limits.inlineUploadBytes);
+    const buffer = Buffer.from(data.replace(/^data:[^,]+,/, ''), 'base64');
+    const result = await storeArchive(folder, filename, linkText, dest => fsp.writeFile(dest, buffer), req.headers['if-match']);
+    noteAudit(req, { summary: { path: result.path, size: buffer.length } });
+    await recordAssetAdded(req, folder, 'archive', result);
+    respond(res, 200, result, { ETag: result.etag });
+  };
+
+  // Applies `rewrite(text, field)` to a post's body and reference fields, dropping fields it empties.
+  // The caller holds the folder lock.
+  const rewritePostAssets = async (folder, rewrite) => {
+    const post = await loadPost(folder);
+    const meta = Object.assign({}, post.meta);
+    REFERENCE_FIELDS.forEach(field => {
+      if (typeof meta[field] !== 'string') return;
+      const next = rewrite(meta[field], field);
+      if (next) meta[field] = next;
+      else delete meta[field];
+    });
+    const content = rewrite(post.content);
+    if (content === post.content && REFERENCE_FIELDS.every(field => meta[field] === post.meta[field])) {
+      return { changed: false, content, etag: etagOf(post.raw) };
+    }
+    const { fileContent } = await writePostFile(folder, meta, content, 'asset');
+    return { changed: true, content, etag: etagOf(fileContent) };
+  };
+
+  // Other posts that reference the asset are rewritten one at a time, each under its own lock.
+  const rewriteAssetReferences = async (asset, folder, rewrite) => {
+    const touched = [];
+    for (const other of new Set(asset.references.map(entry => entry.folder))) {
+      if (other === folder) continue;
+      const { changed } = await locks.withFolderLock(other, () => rewritePostAssets(other, rewrite).catch(() => ({ changed: false })));
+      if (changed) touched.push(other);
+    }
+    return touched;
+  };
+
+  const recordAssetChanged = async (req, folder, message, details) => {
+    await gitHistory.commit([postPath(folder), ...details.touched.map(postPath)], message, actorOf(req));
+    webhooks.emit('post.updated', { folder, permalink: permalinkFromFolder(folder), reason: 'asset', ...details }, actorOf(req));
+  };
+
+  const handleRenameAsset = async (req, res, folder, file) => {
+    const body = await readJsonBody(req);
+    const { asset, renames, own } = await locks.withFolderLock(folder, async () => {
+      await assertIfMatch(req.headers['if-match'], folder);
+      assertPostExists(folder);
+      const found = await postAssets.findAsset(folder, file);
+      const renamed = await postAssets.renameAsset(folder, found, body.name);
+      return { asset: found, renames: renamed, own: await rewritePostAssets(folder, assetRewriter(folder, renamed, true)) };
+    });
+    const touched = await rewriteAssetReferences(asset, folder, assetRewriter(folder, renames, false));
+    const renamed = renames.map(([from, to]) => ({ from, to }));
+    noteAudit(req, { summary: { from: file, to: renames[0][1], touched } });
+    await recordAssetChanged(req, folder, `Rename ${file} to ${renames[0][1]} in ${folder}`, { renamed, touched });
+    respond(res, 200, {
+      folder,
+      asset: await postAssets.findAsset(folder, renames[0][1]),
+      renamed,
+      content: own.content,
+      etag: own.etag,
+      touched
+    }, { ETag: own.etag });
+  };
+
+  // Refuses with 409 while other posts still use the asset, unless `force` also removes those references.
+  const handleDeleteAsset = async (req, res, folder, file, searchParams) => {
+    const force = ['1', 'true'].includes(searchParams.get('force'));
+    const { asset, files, own } = await locks.withFolderLock(folder, async () => {
+      await assertIfMatch(req.headers['if-match'], folder);
+      assertPostExists(folder);
+      const found = await postAssets.findAsset(folder, file);
+      const elsewhere = found.references.filter(entry => entry.folder !== folder);
+      if (elsewhere.length && !force) {
+        throw httpError(409, `${file} is still referenced by other posts`, 'asset_in_use', { references: elsewhere });
+      }
+      const removed = await postAssets.removeAsset(folder, found);
+      return { asset: found, files: removed, own: await rewritePostAssets(folder, assetRemover(folder, removed, true)) };
+    });
+    const touched = await rewriteAssetReferences(asset, folder, assetRemover(folder, files, false));
+    noteAudit(req, { summary: { file, deleted: files, size: asset.totalSize, touched } });
+    await recordAssetChanged(req, folder, `Delete ${file} from ${folder}`, { deleted: files, touched });
+    respond(res, 200, { folder, deleted: files, content: own.content, etag: own.etag, touched }, { ETag: own.etag });
+  };
+
+  const handleRenameIfNeeded = async (currentFolder, meta, content, updates = {}) => {
+    const desiredSlug = updates.slug ? toSlug(updates.slug) : meta.slug;
+    const desiredDate = updates.date ? formatDate(updates.date) : meta.date;
+    let nextMeta = Object.assign({}, meta, updates, { slug: desiredSlug, date: desiredDate });
+    nextMeta.tags = normalizeTags(nextMeta.tags || meta.tags);
+    let nextFolder = folderFromMeta(nextMeta);
+
+    if (nextFolder === currentFolder) {
+      return { folder: currentFolder, meta: nextMeta, content };
+    }
+
+    const candidate = uniqueFolderName(nextFolder);
+    const currentPath = path.join(POSTS_DIR, currentFolder);
+    const newPath = path.join(POSTS_DIR, candidate);
+    await fsp.rename(currentPath, newPath);
+    await revisions.moveRevisions(currentFolder, candidate);
+    searchIndex.removePost(currentFolder);
+
+    const rewrite = referenceRewriter(currentFolder, candidate);
+    const updatedContent = rewrite(content);
+    nextMeta = withAlias(nextMeta, permalinkFromFolder(currentFolder), permalinkFromFolder(candidate));
+    REFERENCE_FIELDS.forEach(field => {
+      if (nextMeta[field]) nextMeta[field] = rewrite(nextMeta[field]);
+    });
+
+    return { folder: candidate, meta: nextMeta, content: updatedContent };
+  };
+
+  const handleUpdatePost = async (req, res, folder) => {
+    const body = await readJsonBody(req, config.limits.contentBytes);
+    const result = await locks.withFolderLock(folder, () => applyPostUpdate(req, folder, body));
+    let touched = [];
+    let redirect;
+    // Other posts are rewritten after the lock is released so no two post locks are ever held at once.
+    if (result.folder !== folder) {
+      redirect = { from: permalinkFromFolder(folder), to: permalinkFromFolder(result.folder) };
+      await redirects.addRedirect(redirect.from, redirect.to, result.folder);
+      touched = await rewriteReferences(folder, result.folder);
+    }
+    noteAudit(req, {
+      folders: result.folder === folder ? [folder] : [folder, result.folder, ...touched],
+      summary: Object.assign(result.summary, { touched: touched.length ? touched : undefined })
+    });
+    const actor = actorOf(req);
+    if (redirect) {
+      await gitHistory.commit([postPath(folder), postPath(result.folder), ...touched.map(postPath), rootPath(config.paths.redirects)], `Rename post ${folder} to ${result.folder}`, actor, { renamedFrom: `${postPath(folder)}/index.md` });
+    } else {
+      await gitHistory.commit([postPath(folder)], `Update post ${folder}`, actor);
+    }
+    if (redirect) webhooks.emit('post.renamed', { from: folder, to: result.folder, redirect, touched }, actor);
+    webhooks.emit('post.updated', { folder: result.folder, permalink: permalinkFromFolder(result.folder), reason: 'update', meta: result.meta, changes: result.summary }, actor);
+    respond(res, 200, { folder: result.folder, meta: result.meta, etag: result.etag, redirect, touched }, { ETag: result.etag });
+  };
+
+  const applyPostUpdate = async (req, folder, body) => {
+    await assertIfMatch(req.headers['if-match'], folder);
+    const { meta, content } = await loadPost(folder);
+    const updates = Object.assign({}, body.meta || {});
+    if (body.title) updates.title = body.title;
+    if (body.slug) updates.slug = body.slug;
+    if (body.date) updates.date = body.date;
+    let nextContent = body.content !== undefined ? body.content : content;
+    const requested = publishing.stateFromBody(body);
+    if (requested) assertScope(req, 'publish');
+
+    const { folder: finalFolder, meta: renamedMeta, content: renamedContent } = await handleRenameIfNeeded(folder, meta, nextContent, updates);
+    nextContent = renamedContent;
+    const finalMeta = requested ? publishing.applyState(renamedMeta, requested.state, requested.publishAt) : renamedMeta;
+
+    const { fileContent, meta: writtenMeta } = await writePostFile(finalFolder, finalMeta, nextContent);
+    return {
+      folder: finalFolder,
+      meta: writtenMeta,
+      etag: etagOf(fileContent),
+      summary: {
+        fields: Object.keys(updates),
+        contentChanged: body.content !== undefined && body.content !== content,
+        state: requested ? publishing.getState(finalMeta) : undefined,
+        renamedTo: finalFolder === folder ? undefined : finalFolder
+      }
+    };
+  };
+
+  const handleListRevisions = async (res, folder) => {
+    const list = await revisions.listRevisions(folder);
+    respond(res, 200, { folder, revisions: list });
+  };
+
+  const handleDiffRevisions = async (res, folder, searchParams) => {
+    const from = searchParams.get('from');
+    const diff = await revisions.diffRevisions(folder, from, searchParams.get('to') || CURRENT);
+    respond(res, 200, { folder, ...diff });
+  };
+
+  const handleRestoreRevision = async (req, res, folder, revisionId) => {
+    if (!fs.existsSync(path.join(POSTS_DIR, folder, 'index.md'))) {
+      throw postNotFound();
+    }
+    const revision = await revisions.getRevision(folder, revisionId);
+    const etag = await locks.withFolderLock(folder, async () => {
+      await assertIfMatch(req.headers['if-match'], folder);
+      const current = await loadPost(folder);
+      const restoredMeta = Object.assign({}, revision.meta, { slug: current.meta.slug, date: current.meta.date, [UID_FIELD]: current.meta[UID_FIELD] });
+      const { fileContent } = await writePostFile(folder, restoredMeta, revision.content, 'restore');
+      return etagOf(fileContent);
+    });
+    const { meta, content } = await loadPost(folder);
+    noteAudit(req, { summary: { revision: revision.id } });
+    await gitHistory.commit([postPath(folder)], `Restore post ${folder} to revision ${revision.id}`, actorOf(req));
+    webhooks.emit('post.updated', { folder, permalink: permalinkFromFolder(folder), reason: 'restore', revision: revision.id, meta }, actorOf(req));
+    respond(res, 200, { folder, restored: revision.id, meta, content, etag }, { ETag: etag });
+  };
+
+  const handlePostHistory = async (res, folder, revision, searchParams) => {
+    const file = `${postPath(folder)}/index.md`;
+    if (!revision) {
+      const limit = Math.min(Math.max(Number(searchParams.get('limit')) || 50, 1), 500);
+      return respond(res, 200, { folder, commits: await gitHistory.log(file, { limit }) });
+    }
+    const { raw, ...entry } = await gitHistory.show(file, revision);
+    const data = fm.parse(raw);
+    const content = data._content || '';
+    delete data._content;
+    respond(res, 200, { folder, ...entry, meta: data, content });
+  };
+
+  // `content` may carry its own front matter; `meta` overrides it.
+  const handlePreview = async (req, res) => {
+    const body = await readJsonBody(req, config.limits.contentBytes);
+    const data = fm.parse(body.content);
+    const content = data._content || '';
+    delete data._content;
+    const meta = Object.assign(data, body.meta || {});
+    const folder = body.folder || null;
+    respond(res, 200, { folder, meta, ...await preview.render({ content, meta, folder }) });
+  };
+
+  const handlePostPreview = async (res, folder) => {
+    const { meta, content } = await loadPost(folder);
+    respond(res, 200, { folder, meta, ...await preview.render({ content, meta, folder }) });
+  };
+
+  const handleQueryAudit = async (res, searchParams) => {
+    const parseTime = (name) => {
+      const value = searchParams.get(name);
+      if (!value) return undefined;
+      const time = new Date(value).getTime();
+      if (Number.isNaN(time)) throw Object.assign(new Error(`${name} must be a date`), { status: 400 });
+      return time;
+    };
+    const entries = await auditLog.query({
+      folder: searchParams.get('folder') || undefined,
+      action: searchParams.get('action') || undefined,
+      actor: searchParams.get('actor') || undefined,
+      sessionId: searchParams.get('sessionId') || undefined,
+      from: parseTime('from'),
+      to: parseTime('to'),
+      limit: Math.min(Math.max(Number(searchParams.get('limit')) || 100, 1), 1000)
+    });
+    respond(res, 200, { entries });
+  };
+
+  const handleWebhooks = async (req, res, pathname, searchParams) => {
+    const segments = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    const id = segments[2];
+    if (!id && req.method === 'GET') {
+      return respond(res, 200, { events: EVENTS, webhooks: await webhooks.listWebhooks() });
+    }
+    if (!id && req.method === 'POST') {
+      const created = await webhooks.createWebhook(await readJsonBody(req), req.auth.id);
+      noteAudit(req, { webhookId: created.webhook.id, summary: { url: created.webhook.url, events: created.webhook.events } });
+      return respond(res, 201, created);
+    }
+    if (id === 'deliveries') {
+      const deliveryId = segments[3];
+      if (!deliveryId && req.method === 'GET') {
+        const deliveries = await webhooks.listDeliveries({
+          webhook: searchParams.get('webhook') || undefined,
+          event: searchParams.get('event') || undefined,
+          status: searchParams.get('status') || undefined,
+          limit: Math.min(Math.max(Number(searchParams.get('limit')) || 100, 1), 1000)
+        });
+        return respond(res, 200, { deliveries });
+      }
+      if (deliveryId && segments.length === 4 && req.method === 'GET') {
+        return respond(res, 200, await webhooks.getDelivery(deliveryId));
+      }
+      if (deliveryId && segments[4] === 'redeliver' && segments.length === 5 && req.method === 'POST') {
+        const delivery = await webhooks.redeliver(deliveryId);
+        noteAudit(req, { summary: { redelivery: delivery.id, event: delivery.event } });
+        return respond(res, 202, { delivery });
+      }
+      return notFound(res);
+    }
+    if (segments.length === 3 && req.method === 'PATCH') {
+      const webhook = await webhooks.updateWebhook(id, await readJsonBody(req));
+      noteAudit(req, { summary: { url: webhook.url, events: webhook.events, active: webhook.active } });
+      return respond(res, 200, { webhook });
+    }
+    if (segments.length === 3 && req.method === 'DELETE') {
+      return respond(res, 200, await webhooks.deleteWebhook(id));
+    }
+    notFound(res);
+  };
+
+  const handleSearch = async (res, searchParams) => {
+    const query = (searchParams.get('q') || '').trim();
+    if (!query) {
+      throw validationError([{ path: 'query.q', code: 'required', message: 'must not be blank' }]);
+    }
+    const limit = Math.min(Math.max(Number(searchParams.get('limit')) || 20, 1), 100);
+    await ensureSearchIndex();
+    const { total, results } = searchIndex.search(query, { limit });
+    respond(res, 200, { query, total, results });
+  };
+
+  const rewritePostTags = async (mapTags) => {
+    const touched = [];
+    for (const folder of await getFolders()) {
+      let post;
+      try {
+        post = await loadPost(folder);
+      } catch {
+        continue;
+      }
+      if (JSON.stringify(normalizeTags(mapTags(post.meta.tags))) === JSON.stringify(post.meta.tags)) continue;
+      // Re-read under the lock so a concurrent edit between the scan and the write is not lost.
+      await locks.withFolderLock(folder, async () => {
+        const { meta, content } = await loadPost(folder);
+        await writePostFile(folder, { ...meta, tags: normalizeTags(mapTags(meta.tags)) }, content, 'tags');
+      });
+      touched.push(folder);
+    }
+    return touched;
+  };
+
+  const handleListTags = async (res, searchParams) => {
+    const tags = await tagStore.getTags();
+    if (!['1', 'true'].includes(searchParams.get('withCounts'))) {
+      return respond(res, 200, { tags });
+    }
+    const counts = new Map();
+    for (const post of await listPosts()) {
+      for (const tag of post.tags) counts.set(tag, (counts.get(tag) || 0) + 1);
+    }
+    const missing = Array.from(counts.keys()).filter(tag => !tags.includes(tag)).sort();
+    respond(res, 200, {
+      tags: tags.map(name => ({ name, count: counts.get(name) || 0 })),
+      missing: missing.map(name => ({ name, count: counts.get(name) }))
+    });
+  };
+
+  const handleRenameTag = async (req, res, name) => {
+    const body = await readJsonBody(req);
+    const nextName = (body.name || '').toString().trim();
+    if (!nextName) {
+      throw validationError([{ path: 'body.name', code: 'required', message: 'must not be blank' }]);
+    }
+    const tags = await tagStore.renameTag(name, nextName);
+    const posts = await rewritePostTags(list => list.map(tag => (tag === name ? nextName : tag)));
+    noteAudit(req, { folders: posts, summary: { from: name, to: nextName, posts: posts.length } });
+    await gitHistory.commit([rootPath(config.paths.tags), ...posts.map(postPath)], `Rename tag ${name} to ${nextName}`, actorOf(req));
+    respond(res, 200, { tags, renamed: { from: name, to: nextName }, posts });
+  };
+
+  const handleMergeTags = async (req, res) => {
+    const body = await readJsonBody(req);
+    const sources = Array.isArray(body.sources) ? body.sources.map(tag => (tag || '').toString().trim()).filter(Boolean) : [];
+    const target = (body.target || '').toString().trim();
+    if (!sources.length || !target) {
+      throw validationError([{ path: sources.length ? 'body.target' : 'body.sources', code: 'required', message: 'must not be blank' }]);
+    }
+    const tags = await tagStore.mergeTags(sources, target);
+    const posts = await rewritePostTags(list => list.map(tag => (sources.includes(tag) ? target : tag)));
+    noteAudit(req, { folders: posts, summary: { sources, target, posts: posts.length } });
+    await gitHistory.commit([rootPath(config.paths.tags), ...posts.map(postPath)], `Merge tags ${sources.join(', ')} into ${target}`, actorOf(req));
+    respond(res, 200, { tags, merged: { sources, target }, posts });
+  };
+
+  const handleDeleteTag = async (req, res, name) => {
+    const tags = await tagStore.removeTag(name);
+    const posts = await rewritePostTags(list => list.filter(tag => tag !== name));
+    noteAudit(req, { folders: posts, summary: { posts: posts.length } });
+    await gitHistory.commit([rootPath(config.paths.tags), ...posts.map(postPath)], `Delete tag ${name}`, actorOf(req));
+    respond(res, 200, { tags, deleted: name, posts });
+  };
+
+  const handleBuild = async (req, res) => {
+    const { job, merged } = buildJobs.enqueue('api');
+    noteAudit(req, { jobId: job.id, summary: { merged } });
+    respond(res, 202, { job, merged });
+  };
+
+  const handleBuildLog = (req, res, id) => {
+    const write = ({ type, payload }) => {
+      res.write(`event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+      if (type === 'end') res.end();
+    };
+    let unsubscribe = () => {};
+    req.on('close', () => unsubscribe());
+    const job = buildJobs.getJob(id);
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    });
+    res.write(`retry: 3000\nevent: job\ndata: ${JSON.stringify({ id: job.id, status: job.status })}\n\n`);
+    unsubscribe = buildJobs.subscribe(id, write);
+  };
+
+  const handleChangeState = async (req, res, folder, action) => {
+    if (!fs.existsSync(path.join(POSTS_DIR, folder, 'index.md'))) {
+      throw postNotFound();
+    }
+    const body = action === 'schedule' ? await readJsonBody(req) : {};
+    const state = { publish: 'published', unpublish: 'draft', schedule: 'scheduled' }[action];
+    const { nextMeta, etag } = await locks.withFolderLock(folder, async () => {
+      await assertIfMatch(req.headers['if-match'], folder);
+      const { meta, content } = await loadPost(folder);
+      const applied = publishing.applyState(meta, state, body.publishAt);
+      const { fileContent } = await writePostFile(folder, applied, content, action);
+      return { nextMeta: applied, etag: etagOf(fileContent) };
+    });
+    noteAudit(req, { summary: { state: publishing.getState(nextMeta), publishAt: nextMeta.publishAt } });
+    const stateMessage = { publish: 'Publish post', unpublish: 'Unpublish post', schedule: 'Schedule post' }[action];
+    await gitHistory.commit([postPath(folder)], `${stateMessage} ${folder}${action === 'schedule' ? ` for ${nextMeta.publishAt}` : ''}`, actorOf(req));
+    webhooks.emit('post.updated', { folder, permalink: permalinkFromFolder(folder), reason: action, state: publishing.getState(nextMeta), meta: nextMeta }, actorOf(req));
+    respond(res, 200, { folder, state: publishing.getState(nextMeta), meta: nextMeta, etag }, { ETag: etag });
+  };
+
+  const handleCreateUploadSession = async (req, res) => {
+    const session = await uploadSessions.createSession();
+    noteAudit(req, { sessionId: session.sessionId });
+    respond(res, 201, session);
+  };
+
+  const handleUploadNote = async (req, res) => {
+    const body = await readJsonBody(req, config.limits.contentBytes);
+    noteAudit(req, { sessionId: body.sessionId, summary: { filename: body.filename, isMain: Boolean(body.isMain) } });
+    const status = await uploadSessions.addNote(body);
+    respond(res, 200, status);
+  };
+
+  const handleUploadArchive = async (req, res) => {
+    if (multipart.isMultipart(req)) {
+      const { fields, file } = await readUploadForm(req);
+      noteAudit(req, { sessionId: fields.sessionId, summary: { sourceUrl: fields.sourceUrl, size: file.size } });
+      try {
+        const status = await uploadSessions.addArchiveFile({
+          sessionId: fields.sessionId,
+          sourceUrl: fields.sourceUrl,
+          filename: fields.filename || file.filename,
+          filePath: file.path
+        });
+        return respond(res, 200, status);
+      } finally {
+        await discardFiles([file]);
+      }
+    }
+
+    const body = await readJsonBody(req, config.limits.inlineUploadBytes);
+    noteAudit(req, { sessionId: body.sessionId, summary: { sourceUrl: body.sourceUrl } });
+    const status = await uploadSessions.addArchive(body);
+    respond(res, 200, status);
+  };
+
+  const handleUploadAttachment = async (req, res) => {
+    if (multipart.isMultipart(req)) {
+      const { fields, file } = await readUploadForm(req);
+      noteAudit(req, { sessionId: fields.sessionId, summary: { filename: fields.filename || file.filename, size: file.size } });
+      try {
+        const status = await uploadSessions.addAttachmentFile({
+          sessionId: fields.sessionId,
+          filename: fields.filename || file.filename,
+          filePath: file.path
+        });
+        return respond(res, 200, status);
+      } finally {
+        await discardFiles([file]);
+      }
+    }
+
+    const body = await readJsonBody(req, config.limits.inlineUploadBytes);
+    noteAudit(req, { sessionId: body.sessionId, summary: { filename: body.filename } });
+    const status = await uploadSessions.addAttachment(body);
+    respond(res, 200, status);
+  };
+
+  const validateUploadTarget = (target, filename) => {
+    if (!target || typeof target !== 'object') {
+      throw Object.assign(new Error('target is required'), { status: 400 });
+    }
+    if (target.type === 'image' || target.type === 'archive') {
+      if (!isSafeFolder(target.folder)) {
+        throw Object.assign(new Error('Invalid folder'), { status: 400 });
+      }
+      assertPostExists(target.folder);
+      if (target.type === 'archive') assertArchiveName(filename);
+    } else if (target.type === 'sessionArchive' && (!target.sessionId || !target.sourceUrl)) {
+      throw Object.assign(new Error('sessionId and sourceUrl are required'), { status: 400 });
+    } else if (target.type === 'sessionAttachment' && !target.sessionId) {
+      throw Object.assign(new Error('sessionId is required'), { status: 400 });
+    }
+  };
+
+  const applyChunkedUpload = req => async (upload, filePath) => {
+    const { target, filename } = upload;
+    const place = dest => moveFile(filePath, dest);
+    const ifMatch = req.headers['if-match'];
+    if (target.type === 'image' || target.type === 'archive') {
+      const result = target.type === 'image'
+        ? await storeImage(target.folder, filename, place, ifMatch)
+        : await storeArchive(target.folder, filename, target.linkText, place, ifMatch);
+      await recordAssetAdded(req, target.folder, target.type, result);
+      return result;
+    }
+    if (target.type === 'sessionAttachment') return await uploadSessions.addAttachmentFile({ sessionId: target.sessionId, filename, filePath });
+    return await uploadSessions.addArchiveFile({ sessionId: target.sessionId, sourceUrl: target.sourceUrl, filename, filePath });
+  };
+
+  const handleStartChunkedUpload = async (req, res) => {
+    const body = await readJsonBody(req);
+    validateUploadTarget(body.target, body.filename);
+    const status = await chunkedUploads.startUpload(body, UPLOAD_MAX_BYTES);
+    noteAudit(req, { uploadId: status.uploadId, folder: body.target.folder, sessionId: body.target.sessionId, summary: { filename: status.filename, size: status.size, target: body.target.type } });
+    respond(res, 201, status);
+  };
+
+  const handleUploadChunk = async (req, res, id, searchParams) => {
+    const raw = req.headers['upload-offset'] !== undefined ? req.headers['upload-offset'] : searchParams.get('offset');
+    const offset = Number(raw);
+    if (raw === null || raw === undefined || !Number.isInteger(offset) || offset < 0) {
+      req.resume();
+      throw validationError([{ path: 'query.offset', code: 'required', message: 'is required as a query parameter or Upload-Offset header' }]);
+    }
+    const status = await chunkedUploads.writeChunk(id, offset, req);
+    respond(res, 200, status);
+  };
+
+  const handleCompleteChunkedUpload = async (req, res, id) => {
+    const body = await readJsonBody(req);
+    const result = await chunkedUploads.completeUpload(id, body.sha256, applyChunkedUpload(req));
+    noteAudit(req, { summary: { path: result.path, size: result.size, sha256: result.sha256 } });
+    respond(res, 200, result, result.etag ? { ETag: result.etag } : {});
+  };
+
+  const handleGetUploadSession = async (res, sessionId) => {
+    const status = await uploadSessions.getSession(sessionId);
+    respond(res, 200, status);
+  };
+
+  const handleCommitUploadSession = async (req, res, searchParams) => {
+    const body = await readJsonBody(req);
+    noteAudit(req, { sessionId: body.sessionId });
+    if (['1', 'true'].includes(searchParams.get('dryRun')) || body.dryRun === true) {
+      const plan = await uploadSessions.previewCommit(body.sessionId);
+      noteAudit(req, { action: 'upload.commit.preview', folders: plan.notes.map(note => note.folder) });
+      return respond(res, 200, plan);
+    }
+    const result = await uploadSessions.commitSession(body.sessionId, actorOf(req));
+    noteAudit(req, { folders: result.folders, summary: { notes: result.folders.length, created: result.created, updated: result.updated } });
+    for (const folder of result.folders) {
+      await refreshSearchEntry(folder);
+    }
+    respond(res, 200, result);
+  };
+
+  const handleDeletePost = async (req, res, folder) => {
+    const dir = path.join(POSTS_DIR, folder);
+    if (!fs.existsSync(dir)) {
+      throw postNotFound();
+    }
+    const entry = await locks.withFolderLock(folder, async () => {
+      await assertIfMatch(req.headers['if-match'], folder);
+      return await trash.moveToTrash(folder);
+    });
+    searchIndex.removePost(folder);
+    noteAudit(req, { summary: { trashId: entry.id } });
+    await gitHistory.commit([postPath(folder)], `Delete post ${folder}`, actorOf(req));
+    webhooks.emit('post.deleted', { folder, permalink: permalinkFromFolder(folder), trashId: entry.id }, actorOf(req));
+    respond(res, 200, { deleted: folder, trashId: entry.id });
+  };
+
+  const handleExport = async (req, res) => {
+    const { stream, manifest, cleanup } = await backup.createExport();
+    res.writeHead(200, {
+      'Content-Type': 'application/gzip',
+      'Content-Disposition': `attachment; filename="blog-export-${manifest.createdAt.slice(0, 10)}.tar.gz"`,
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    });
+    req.on('close', () => {
+      if (!res.writableFinished) cleanup();
+    });
+    stream.pipe(res);
+  };
+
+  const handleImport = async (req, res, searchParams) => {
+    let archivePath;
+    let options = { mode: searchParams.get('mode') || undefined, onConflict: searchParams.get('onConflict') || undefined };
+    if (multipart.isMultipart(req)) {
+      const { fields, file } = await readUploadForm(req);
+      archivePath = file.path;
+      options = { mode: options.mode || fields.mode, onConflict: options.onConflict || fields.onConflict };
+    } else {
+      await ensureDir(UPLOAD_TMP_DIR);
+      archivePath = path.join(UPLOAD_TMP_DIR, `${crypto.randomBytes(8).toString('hex')}.tar.gz`);
+      try {
+        await saveRequestBody(req, archivePath, UPLOAD_MAX_BYTES);
+      } catch (err) {
+        await fsp.rm(archivePath, { force: true });
+        throw err;
+      }
+    }
+    let result;
+    try {
+      result = await backup.importArchive(archivePath, Object.assign({ isSafeFolder }, options));
+    } finally {
+      await fsp.rm(archivePath, { force: true });
+    }
+    for (const entry of result.folders) {
+      if (entry.status === 'added' || entry.status === 'replaced') await refreshSearchEntry(entry.folder);
+      if (entry.status === 'removed') searchIndex.removePost(entry.folder);
+    }
+    const changed = result.folders.filter(entry => ['added', 'replaced', 'removed'].includes(entry.status));
+    noteAudit(req, { folders: changed.map(entry => entry.folder), summary: { mode: result.mode, changed: changed.length, conflicts: result.conflicts } });
+    const counts = ['added', 'replaced', 'removed'].map(status => `${changed.filter(entry => entry.status === status).length} ${status}`);
+    await gitHistory.commit([rootPath(config.paths.tags), rootPath(config.paths.redirects), ...changed.map(entry => postPath(entry.folder))], `Import backup (${result.mode}): ${counts.join(', ')}`, actorOf(req));
+    respond(res, 200, result);
+  };
+
+  const handleListTrash = async (res) => {
+    await trash.purgeExpired();
+    const entries = await trash.listTrash();
+    respond(res, 200, { trash: entries });
+  };
+
+  const handleRestoreTrash = async (req, res, id) => {
+    const entry = await trash.getEntry(id);
+    await ensureDir(POSTS_DIR);
+    const folderName = uniqueFolderName(entry.folder);
+    const restored = await trash.restore(id, folderName);
+    await refreshSearchEntry(folderName);
+    noteAudit(req, { folder: folderName, summary: { originalFolder: entry.folder } });
+    await gitHistory.commit([postPath(folderName)], `Restore post ${folderName} from trash`, actorOf(req));
+    webhooks.emit('post.created', { folder: folderName, permalink: permalinkFromFolder(folderName), restoredFrom: entry.id }, actorOf(req));
+    respond(res, 200, { folder: folderName, restored });
+  };
+
+  const handlePurgeTrash = async (req, res, id) => {
+    const entry = await trash.purge(id);
+    noteAudit(req, { folder: entry.folder });
+    respond(res, 200, { purged: entry.id, folder: entry.folder });
+  };
+
+  const server = http.createServer(async (req, res) => {
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Upload-Offset, If-Match, If-None-Match',
+          'Access-Control-Allow-Methods': 'GET,POST,PUT,PATCH,DELETE,OPTIONS'
+        });
+        return res.end();
+      }
+
+    try {
+      req.auth = await authorize(req);
+      if (!req.auth) {
+        return respond(res, 401, { error: 'Unauthorized', code: 'unauthorized' });
+      }
+
+      const { pathname, searchParams } = parsePath(req.url);
+      // Previews change nothing, and editors request them on every pause in typing.
+      if (req.method !== 'GET' && pathname !== '/api/preview') {
+        res.on('finish', () => recordAudit(req, res, pathname));
+      }
+      assertScope(req, requiredScope(req.method, pathname));
+      // Every later decodeURIComponent of a segment is safe once the whole path has decoded here.
+      pathname.split('/').forEach(segment => decodeSegment(segment));
+      if (pathname.startsWith('/api/posts/')) {
+        const segments = pathname.split('/').filter(Boolean);
+        const folder = segments[2] ? decodeURIComponent(segments[2]) : '';
+        if (segments.length >= 3 && !isSafeFolder(folder)) {
+          return respond(res, 400, { error: 'Invalid folder', code: 'invalid_folder' });
+        }
+      }
+
+      const matched = matchRoute(req.method, pathname);
+      if (matched) {
+        req.route = matched.route;
+        assertValid(matched.paramsSchema, matched.params, 'params');
+        if (matched.route.query) assertValid(matched.route.query, queryObject(matched.route.query, searchParams), 'query');
+      }
+
+      if (req.method === 'GET' && pathname === '/api/openapi.json') {
+        return respond(res, 200, openApiDocument({ scopeOf: requiredScope }));
+      }
+
+      if (req.method === 'POST' && pathname === '/api/upload/session') {
+        return await handleCreateUploadSession(req, res);
+      }
+
+      if (req.method === 'POST' && pathname === '/api/upload/note') {
+        return await handleUploadNote(req, res);
+      }
+
+      if (req.method === 'POST' && pathname === '/api/upload/archive') {
+        return await handleUploadArchive(req, res);
+      }
+
+      if (req.method === 'POST' && pathname === '/api/upload/attachment') {
+        return await handleUploadAttachment(req, res);
+      }
+
+      if (req.method === 'POST' && pathname === '/api/upload/commit') {
+        return await handleCommitUploadSession(req, res, searchParams);
+      }
+
+      if (req.method === 'POST' && pathname === '/api/uploads') {
+        return await handleStartChunkedUpload(req, res);
+      }
+
+      if (pathname.startsWith('/api/uploads/')) {
+        const segments = pathname.split('/').filter(Boolean);
+        const id = segments[2] ? decodeURIComponent(segments[2]) : '';
+        if (segments.length === 3 && req.method === 'GET') {
+          return respond(res, 200, await chunkedUploads.getUpload(id));
+        }
+        if (segments.length === 3 && (req.method === 'PUT' || req.method === 'PATCH')) {
+          return await handleUploadChunk(req, res, id, searchParams);
+        }
+        if (segments.length === 3 && req.method === 'DELETE') {
+          return respond(res, 200, await chunkedUploads.abortUpload(id));
+        }
+        if (segments[3] === 'complete' && segments.length === 4 && req.method === 'POST') {
+          return await handleCompleteChunkedUpload(req, res, id);
+        }
+      }
+
+      if (req.method === 'GET' && pathname === '/api/upload/sessions') {
+        return respond(res, 200, { sessions: await uploadSessions.listSessions() });
+      }
+
+      if (req.method === 'GET' && pathname.startsWith('/api/upload/session/')) {
+        const id = pathname.split('/').pop();
+        return await handleGetUploadSession(res, id);
+      }
+
+      if (req.method === 'DELETE' && pathname.startsWith('/api/upload/session/')) {
+        const id = decodeURIComponent(pathname.split('/').pop());
+        const result = await uploadSessions.abortSession(id);
+        noteAudit(req, { summary: { notes: result.notes.length } });
+        return respond(res, 200, result);
+      }
+
+      if (req.method === 'GET' && pathname === '/api/tags') {
+        return await handleListTags(res, searchParams);
+      }
+
+      if (req.method === 'POST' && pathname === '/api/tags') {
+        const body = await readJsonBody(req);
+        const tags = await tagStore.addTag(body.name);
+        noteAudit(req, { summary: { name: body.name } });
+        await gitHistory.commit([rootPath(config.paths.tags)], `Add tag ${body.name}`, actorOf(req));
+        return respond(res, 201, { tags });
+      }
+
+      if (req.method === 'POST' && pathname === '/api/tags/merge') {
+        return await handleMergeTags(req, res);
+      }
+
+      if (pathname.startsWith('/api/tags/')) {
+        const segments = pathname.split('/').filter(Boolean);
+        const name = segments[2] ? decodeURIComponent(segments[2]).trim() : '';
+        if (segments.length === 3 && req.method === 'PUT') {
+          return await handleRenameTag(req, res, name);
+        }
+        if (segments.length === 3 && req.method === 'DELETE') {
+          return await handleDeleteTag(req, res, name);
+        }
+      }
+
+      if (req.method === 'GET' && pathname === '/api/tokens') {
+        return respond(res, 200, { tokens: await tokenStore.listTokens() });
+      }
+
+      if (req.method === 'POST' && pathname === '/api/tokens') {
+        const body = await readJsonBody(req);
+        const created = await tokenStore.createToken(body, req.auth.id);
+        noteAudit(req, { summary: { id: created.token.id, name: created.token.name, role: created.token.role } });
+        return respond(res, 201, created);
+      }
+
+      if (req.method === 'DELETE' && pathname.startsWith('/api/tokens/')) {
+        const id = decodeURIComponent(pathname.split('/').pop());
+        return respond(res, 200, { token: await tokenStore.revokeToken(id) });
+      }
+
+      if (pathname === '/api/webhooks' || pathname.startsWith('/api/webhooks/')) {
+        return await handleWebhooks(req, res, pathname, searchParams);
+      }
+
+      if (req.method === 'GET' && pathname === '/api/audit') {
+        return await handleQueryAudit(res, searchParams);
+      }
+
+      if (req.method === 'GET' && pathname === '/api/search') {
+        return await handleSearch(res, searchParams);
+      }
+
+      if (req.method === 'GET' && pathname === '/api/export') {
+        return await handleExport(req, res);
+      }
+
+      if (req.method === 'POST' && pathname === '/api/import') {
+        return await handleImport(req, res, searchParams);
+      }
+
+      if (req.method === 'GET' && pathname === '/api/history') {
+        return respond(res, 200, await gitHistory.status());
+      }
+
+      if (req.method === 'GET' && pathname === '/api/redirects') {
+        return respond(res, 200, { redirects: await redirects.listRedirects() });
+      }
+
+      if (req.method === 'POST' && pathname === '/api/preview') {
+        return await handlePreview(req, res);
+      }
+
+      if (req.method === 'GET' && pathname === '/api/assets/orphans') {
+        return respond(res, 200, await postAssets.findOrphans());
+      }
+
+      if (req.method === 'GET' && pathname === '/api/links/broken') {
+        return respond(res, 200, await linkGraph.brokenLinks());
+      }
+
+      if (req.method === 'GET' && pathname === '/api/trash') {
+        return await handleListTrash(res);
+      }
+
+      if (pathname.startsWith('/api/trash/')) {
+        const segments = pathname.split('/').filter(Boolean);
+        const id = segments[2] ? decodeURIComponent(segments[2]) : '';
+        if (req.method === 'POST' && segments[3] === 'restore' && segments.length === 4) {
+          return await handleRestoreTrash(req, res, id);
+        }
+        if (req.method === 'DELETE' && segments.length === 3) {
+          return await handlePurgeTrash(req, res, id);
+        }
+      }
+
+      if (req.method === 'GET' && pathname === '/api/posts') {
+        const query = postQuery.parseQuery(searchParams);
+        const result = postQuery.queryPosts(await listPosts(), query);
+        return respond(res, 200, result);
+      }
+
+      if (req.method === 'POST' && pathname === '/api/posts') {
+        return await handleCreatePost(req, res);
+      }
+
+      if (pathname.startsWith('/api/posts/')) {
+        const segments = pathname.split('/').filter(Boolean);
+        if (segments.length < 3) return notFound(res);
+        const folder = decodeURIComponent(segments[2]);
+        const sub = segments[3] ? decodeURIComponent(segments[3]) : undefined;
+
+        if (sub === 'revisions') {
+          const revisionId = segments[4] ? decodeURIComponent(segments[4]) : undefined;
+          if (!revisionId && req.method === 'GET') {
+            return await handleListRevisions(res, folder);
+          }
+          if (revisionId === 'diff' && req.method === 'GET') {
+            return await handleDiffRevisions(res, folder, searchParams);
+          }
+          if (revisionId && !segments[5] && req.method === 'GET') {
+            const revision = await revisions.getRevision(folder, revisionId);
+            return respond(res, 200, revision);
+          }
+          if (revisionId && segments[5] === 'restore' && req.method === 'POST') {
+            return await handleRestoreRevision(req, res, folder, revisionId);
+          }
+          return notFound(res);
+        }
+
+        if (sub === 'history' && req.method === 'GET') {
+          const revision = segments[4] ? decodeURIComponent(segments[4]) : undefined;
+          if (segments.length > 5) return notFound(res);
+          return await handlePostHistory(res, folder, revision, searchParams);
+        }
+
+        if (sub === 'links' && req.method === 'GET') {
+          return respond(res, 200, await linkGraph.linksForPost(folder));
+        }
+
+        if (sub === 'preview' && req.method === 'GET' && segments.length === 4) {
+          return await handlePostPreview(res, folder);
+        }
+
+        if (['publish', 'unpublish', 'schedule'].includes(sub) && req.method === 'POST') {
+          return await handleChangeState(req, res, folder, sub);
+        }
+
+        if (sub === 'images' && req.method === 'POST') {
+          return await handleUploadImage(req, res, folder);
+        }
+
+        if (sub === 'archives' && req.method === 'POST') {
+          return await handleUploadArchiveFile(req, res, folder);
+        }
+
+        if (sub === 'assets') {
+          const file = segments[4] ? decodeURIComponent(segments[4]) : undefined;
+          if (!file && req.method === 'GET') {
+            assertPostExists(folder);
+            return respond(res, 200, { folder, ...await postAssets.listAssets(folder) });
+          }
+          if (file && segments.length === 5 && req.method === 'PUT') {
+            return await handleRenameAsset(req, res, folder, file);
+          }
+          if (file && segments.length === 5 && req.method === 'DELETE') {
+            return await handleDeleteAsset(req, res, folder, file, searchParams);
+          }
+          return notFound(res);
+        }
+
+        if (req.method === 'GET') {
+          const { meta, content, raw } = await loadPost(folder);
+          const etag = etagOf(raw);
+          if (req.headers['if-none-match'] && etagMatches(req.headers['if-none-match'], etag)) {
+            res.writeHead(304, { ETag: etag, 'Access-Control-Allow-Origin': '*', 'Access-Control-Expose-Headers': 'ETag' });
+            return res.end();
+          }
+          return respond(res, 200, { folder, meta, content, etag }, { ETag: etag });
+        }
+
+        if (req.method === 'PUT') {
+          return await handleUpdatePost(req, res, folder);
+        }
+
+        if (!sub && req.method === 'DELETE') {
+          return await handleDeletePost(req, res, folder);
+        }
+      }
+
+      if (req.method === 'POST' && pathname === '/api/build') {
+        return handleBuild(req, res);
+      }
+
+      if (req.method === 'GET' && pathname === '/api/build') {
+        return respond(res, 200, { jobs: buildJobs.listJobs() });
+      }
+
+      if (pathname.startsWith('/api/build/')) {
+        const segments = pathname.split('/').filter(Boolean);
+        const id = segments[2] ? decodeURIComponent(segments[2]) : '';
+        if (req.method === 'GET' && segments.length === 3) {
+          return respond(res, 200, buildJobs.getJob(id));
+        }
+        if (req.method === 'GET' && segments[3] === 'log' && segments.length === 4) {
+          return handleBuildLog(req, res, id);
+        }
+        if ((req.method === 'DELETE' && segments.length === 3) || (req.method === 'POST' && segments[3] === 'cancel' && segments.length === 4)) {
+          return respond(res, 200, { job: buildJobs.cancel(id) });
+        }
+      }
+
+      notFound(res);
+    } catch (err) {
+      console.error(err);
+      const status = err.status && Number.isInteger(err.status) ? err.status : 500;
+      respond(res, status, Object.assign({ error: status === 500 ? 'Internal error' : err.message, code: errorCode(status), detail: err.message }, err.body));
+    }
+  });
+
+  const purgeTrash = () => trash.purgeExpired().then(purged => {
+    if (purged.length) console.log(`Purged ${purged.length} expired trash entr${purged.length === 1 ? 'y' : 'ies'}`);
+  }).catch(err => console.error(err));
+
+  const sweepUploadSessions = () => uploadSessions.purgeExpired().then(async purged => {
+    for (const session of purged) {
+      await auditLog.append({
+        actor: { id: 'system', name: 'upload-session-sweeper', role: null },
+        action: 'upload.session.expire',
+        sessionId: session.sessionId,
+        summary: { createdAt: session.createdAt, lastActivity: session.updatedAt, notes: session.notes }
+      });
+    }
+    if (purged.length) console.log(`Removed ${purged.length} expired upload session(s): ${purged.map(session => session.sessionId).join(', ')}`);
+  }).catch(err => console.error(err));
+
+  const sweepChunkedUploads = () => chunkedUploads.purgeExpired().then(async purged => {
+    for (const upload of purged) {
+      const target = upload.target || {};
+      await auditLog.append({
+        actor: { id: 'system', name: 'upload-sweeper', role: null },
+        action: 'upload.chunked.expire',
+        uploadId: upload.uploadId,
+        folder: target.folder,
+        sessionId: target.sessionId,
+        summary: { filename: upload.filename, createdAt: upload.createdAt, lastActivity: upload.updatedAt }
+      });
+    }
+    if (purged.length) console.log(`Removed ${purged.length} expired chunked upload(s): ${purged.map(upload => upload.uploadId).join(', ')}`);
+  }).catch(err => console.error(err));
+
+  let schedulerRunning = false;
+  const SCHEDULER_ACTOR = { id: 'system', name: 'scheduler', role: null };
+
+  const publishDuePosts = async () => {
+    if (schedulerRunning) return;
+    schedulerRunning = true;
+    try {
+      const now = Date.now();
+      const published = [];
+      for (const post of await listPosts()) {
+        if (post.state !== 'scheduled' || new Date(post.publishAt).getTime() > now) continue;
+        const due = await locks.withFolderLock(post.folder, async () => {
+          const { meta, content } = await loadPost(post.folder);
+          if (!publishing.isDue(meta, now)) return false;
+          await writePostFile(post.folder, publishing.applyState(meta, 'published'), content, 'publish');
+          return true;
+        });
+        if (!due) continue;
+        published.push(post.folder);
+        await gitHistory.commit([postPath(post.folder)], `Publish scheduled post ${post.folder}`, SCHEDULER_ACTOR);
+        webhooks.emit('post.updated', { folder: post.folder, permalink: permalinkFromFolder(post.folder), reason: 'publish', state: 'published' }, SCHEDULER_ACTOR);
+      }
+      if (published.length) {
+        const { job } = buildJobs.enqueue('scheduler');
+        console.log(`Published scheduled posts: ${published.join(', ')} (build ${job.id})`);
+      }
+    } catch (err) {
+      console.error(err);
+    } finally {
+      schedulerRunning = false;
+    }
+  };
+
+  const timers = [];
+
+  // Resolves with the bound address; `port` overrides the configured one (0 picks a free port).
+  const start = async ({ port = config.port } = {}) => {
+    if (!AUTH_TOKEN && !(await tokenStore.hasActiveTokens())) {
+      throw new Error(`Refusing to start: set a token (config token or BLOG_API_TOKEN) or create API tokens first (${config.paths.tokens} has no active tokens).`);
+    }
+    await gitHistory.init();
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, () => {
+        server.removeListener('error', reject);
+        resolve();
+      });
+    });
+    const address = server.address();
+    console.log(`Blog backend listening on http://localhost:${address.port}`);
+    purgeTrash();
+    timers.push(setInterval(purgeTrash, TRASH_PURGE_INTERVAL));
+    sweepUploadSessions();
+    timers.push(setInterval(sweepUploadSessions, SESSION_SWEEP_INTERVAL));
+    sweepChunkedUploads();
+    timers.push(setInterval(sweepChunkedUploads, SESSION_SWEEP_INTERVAL));
+    timers.push(setInterval(publishDuePosts, SCHEDULER_INTERVAL));
+    timers.forEach(timer => timer.unref());
+    webhooks.resumePending().catch(err => console.error(err));
+    return address;
+  };
+
+  // Stops the timers and pending webhook retries, then stops accepting connections.
+  const close = () => new Promise((resolve, reject) => {
+    timers.splice(0).forEach(timer => clearInterval(timer));
+    webhooks.stop();
+    preview.close();
+    if (!server.listening) {
+      resolve();
+      return;
+    }
+    server.close(err => (err ? reject(err) : resolve()));
+    server.closeIdleConnections();
+  });
+
+  return {
+    config,
+    server,
+    start,
+    close
+  };
+};
+
+module.exports = {
+  createBlogServer
+};
@@ -0,0 +1,158 @@
+'use strict';
+
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+
+const HISTORY_LIMIT = 50;
+
+const randomId = () => crypto.randomBytes(6).toString('hex');
+
+const summarize = job => ({
+  id: job.id,
+  status: job.status,
+  trigger: job.triggers[0],
+  triggers: job.triggers,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+  durationMs: job.startedAt && job.finishedAt ? new Date(job.finishedAt) - new Date(job.startedAt) : null,
+  exitCode: job.exitCode
+});
+
+const isFinished = job => ['succeeded', 'failed', 'cancelled'].includes(job.status);
+
+const createBuildJobs = (config, { webhooks }) => {
+  const jobs = [];
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+  let running = null;
+
+  const emit = (job, type, payload) => events.emit(job.id, { type, payload });
+
+  const trimHistory = () => {
+    while (jobs.length > HISTORY_LIMIT) {
+      const index = jobs.findIndex(isFinished);
+      if (index === -1) return;
+      jobs.splice(index, 1);
+    }
+  };
+
+  const appendLog = (job, chunk) => {
+    const text = chunk.toString();
+    job.log.push(text);
+    emit(job, 'log', text);
+  };
+
+  const finish = (job, status, exitCode) => {
+    job.status = status;
+    job.exitCode = exitCode;
+    job.finishedAt = new Date().toISOString();
+    job.child = null;
+    emit(job, 'end', summarize(job));
+    if (status === 'succeeded') webhooks.emit('build.succeeded', summarize(job));
+    // Failed builds carry the end of the log so receivers can report the cause without another request.
+    if (status === 'failed') webhooks.emit('build.failed', { ...summarize(job), logTail: job.log.join('').slice(-4000) });
+  };
+
+  const startNext = () => {
+    if (running) return;
+    const job = jobs.find(entry => entry.status === 'queued');
+    if (!job) return;
+    running = job;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    emit(job, 'status', summarize(job));
+
+    const child = spawn(config.build.command, { cwd: config.root, shell: true, detached: process.platform !== 'win32' });
+    job.child = child;
+    child.stdout.on('data', chunk => appendLog(job, chunk));
+    child.stderr.on('data', chunk => appendLog(job, chunk));
+    child.on('error', err => appendLog(job, `${err.message}\n`));
+    child.on('close', code => {
+      if (job.status === 'running') finish(job, code === 0 ? 'succeeded' : 'failed', code);
+      running = null;
+      trimHistory();
+      startNext();
+    });
+  };
+
+  // A job that has not started yet already covers any later request, so those are merged into it.
+  const enqueue = (trigger = 'api') => {
+    const queued = jobs.find(entry => entry.status === 'queued');
+    if (queued) {
+      queued.triggers.push(trigger);
+      return { job: summarize(queued), merged: true };
+    }
+    const job = {
+      id: randomId(),
+      status: 'queued',
+      triggers: [trigger],
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      exitCode: null,
+      log: [],
+      child: null
+    };
+    jobs.push(job);
+    trimHistory();
+    startNext();
+    return { job: summarize(job), merged: false };
+  };
+
+  const findJob = id => {
+    const job = jobs.find(entry => entry.id === id);
+    if (!job) throw Object.assign(new Error('Build job not found'), { status: 404 });
+    return job;
+  };
+
+  const getJob = id => ({ ...summarize(findJob(id)), log: findJob(id).log.join('') });
+
+  const listJobs = () => jobs.slice().reverse().map(summarize);
+
+  const cancel = id => {
+    const job = findJob(id);
+    if (isFinished(job)) throw Object.assign(new Error(`Build job already ${job.status}`), { status: 409 });
+    if (job.status === 'queued') {
+      finish(job, 'cancelled', null);
+      return summarize(job);
+    }
+    appendLog(job, '\nBuild cancelled\n');
+    const { child } = job;
+    finish(job, 'cancelled', null);
+    try {
+      if (child.pid && process.platform !== 'win32') process.kill(-child.pid, 'SIGTERM');
+      else child.kill('SIGTERM');
+    } catch (err) {
+      if (err.code !== 'ESRCH') throw err;
+    }
+    return summarize(job);
+  };
+
+  // Replays the log so far, then forwards new events until the job ends; returns an unsubscribe function.
+  const subscribe = (id, listener) => {
+    const job = findJob(id);
+    job.log.forEach(text => listener({ type: 'log', payload: text }));
+    if (isFinished(job)) {
+      listener({ type: 'end', payload: summarize(job) });
+      return () => {};
+    }
+    listener({ type: 'status', payload: summarize(job) });
+    const forward = event => listener(event);
+    events.on(job.id, forward);
+    return () => events.removeListener(job.id, forward);
+  };
+
+  return {
+    enqueue,
+    getJob,
+    listJobs,
+    cancel,
+    subscribe
+  };
+};
+
+module.exports = {
+  createBuildJobs
+};
@@ -0,0 +1,246 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const fsp = fs.promises;
+const crypto = require('crypto');
+const { pipeline, Transform } = require('stream');
+
+const httpError = (status, message, body) => Object.assign(new Error(message), { status, body });
+
+const ensureDir = async dir => {
+  await fsp.mkdir(dir, { recursive: true });
+};
+
+const randomId = () => crypto.randomBytes(8).toString('hex');
+
+const isSafeId = id => /^[0-9a-f]+$/.test(id || '');
+
+const hashFile = file => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(file)
+    .on('data', chunk => hash.update(chunk))
+    .on('error', reject)
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+const TARGET_TYPES = ['image', 'archive', 'sessionArchive', 'sessionAttachment'];
+
+const createChunkedUploads = (config) => {
+  const chunksRoot = config.paths.chunks;
+  const UPLOAD_TTL_HOURS = config.chunkedUploads.ttlHours;
+  const MAX_ACTIVE_UPLOADS = config.chunkedUploads.maxActive;
+  const activeWrites = new Set();
+
+  const uploadPath = id => path.join(chunksRoot, id);
+
+  const metaFile = id => path.join(uploadPath(id), 'upload.json');
+
+  const dataFile = id => path.join(uploadPath(id), 'data');
+
+  const readUpload = async id => {
+    if (!isSafeId(id)) throw httpError(404, 'Upload not found');
+    try {
+      return JSON.parse(await fsp.readFile(metaFile(id), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') throw httpError(404, 'Upload not found');
+      throw err;
+    }
+  };
+
+  const currentOffset = async id => {
+    try {
+      return (await fsp.stat(dataFile(id))).size;
+    } catch (err) {
+      if (err.code === 'ENOENT') return 0;
+      throw err;
+    }
+  };
+
+  const writeMeta = async upload => {
+    await fsp.writeFile(metaFile(upload.id), JSON.stringify(upload, null, 2));
+  };
+
+  const listIds = async () => {
+    try {
+      return (await fsp.readdir(chunksRoot, { withFileTypes: true })).filter(entry => entry.isDirectory() && isSafeId(entry.name)).map(entry => entry.name);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  };
+
+  // Uploads expire after UPLOAD_TTL_HOURS without a chunk; older uploads without updatedAt fall back to createdAt.
+  const expiresAt = upload => {
+    if (!(UPLOAD_TTL_HOURS > 0)) return null;
+    const lastActivity = new Date(upload.updatedAt || upload.createdAt).getTime();
+    return new Date(lastActivity + UPLOAD_TTL_HOURS * 3600000).toISOString();
+  };
+
+  const status = async upload => ({
+    uploadId: upload.id,
+    filename: upload.filename,
+    size: upload.size,
+    offset: await currentOffset(upload.id),
+    target: upload.target,
+    createdAt: upload.createdAt,
+    updatedAt: upload.updatedAt || upload.createdAt,
+    expiresAt: expiresAt(upload)
+  });
+
+  const startUpload = async ({ filename, size, sha256, target }, maxSize) => {
+    const safeName = path.basename(filename || '');
+    if (!safeName || safeName.includes('..')) throw httpError(400, 'Invalid filename');
+    if (!Number.isInteger(size) || size <= 0) throw httpError(400, 'size must be a positive integer');
+    if (size > maxSize) throw httpError(413, 'Payload too large');
+    if (!target || !TARGET_TYPES.includes(target.type)) throw httpError(400, `target.type must be one of ${TARGET_TYPES.join(', ')}`);
+    if (sha256 && !/^[0-9a-f]{64}$/i.test(sha256)) throw httpError(400, 'sha256 must be a hex digest');
+    if (MAX_ACTIVE_UPLOADS > 0 && (await listIds()).length >= MAX_ACTIVE_UPLOADS) {
+      throw httpError(429, `Too many uploads in progress (limit ${MAX_ACTIVE_UPLOADS}); complete or abort one first`, { code: 'too_many_uploads', limit: MAX_ACTIVE_UPLOADS });
+    }
+    const now = new Date().toISOString();
+    const upload = {
+      id: randomId(),
+      filename: safeName,
+      size,
+      sha256: sha256 ? sha256.toLowerCase() : null,
+      target,
+      createdAt: now,
+      updatedAt: now
+    };
+    await ensureDir(uploadPath(upload.id));
+    await writeMeta(upload);
+    await fsp.writeFile(dataFile(upload.id), '');
+    return await status(upload);
+  };
+
+  const getUpload = async id => await status(await readUpload(id));
+
+  // Claims the upload for one request at a time; chunks, completion, abort and the sweeper all respect it.
+  const claim = (id, req) => {
+    if (activeWrites.has(id)) {
+      if (req) req.resume();
+      throw httpError(409, 'Another request for this upload is in progress');
+    }
+    activeWrites.add(id);
+  };
+
+  // Appends the request body at `offset`, which must equal the bytes already received so retries stay idempotent.
+  const writeChunk = async (id, offset, req) => {
+    const upload = await readUpload(id);
+    claim(id, req);
+    try {
+      const received = await currentOffset(id);
+      if (offset !== received) {
+        req.resume();
+        throw httpError(409, 'Offset mismatch', { offset: received });
+      }
+      let written = 0;
+      const guard = new Transform({
+        transform(chunk, encoding, callback) {
+          written += chunk.length;
+          if (received + written > upload.size) {
+            callback(httpError(413, 'Chunk exceeds declared size'));
+            return;
+          }
+          callback(null, chunk);
+        }
+      });
+      try {
+        await new Promise((resolve, reject) => {
+          pipeline(req, guard, fs.createWriteStream(dataFile(id), { flags: 'a' }), err => (err ? reject(err) : resolve()));
+        });
+      } catch (err) {
+        // Bytes from an interrupted connection are kept so the client can resume from the reported offset.
+        if (err.status === 413) await fsp.truncate(dataFile(id), received);
+        throw err;
+      }
+      upload.updatedAt = new Date().toISOString();
+      await writeMeta(upload);
+    } finally {
+      activeWrites.delete(id);
+    }
+    return await status(upload);
+  };
+
+  // `apply` moves the file it is given, so it gets a link to the data; if it fails, the upload can be completed again.
+  const workingCopy = async id => {
+    const copy = path.join(uploadPath(id), 'data.apply');
+    await fsp.rm(copy, { force: true });
+    try {
+      await fsp.link(dataFile(id), copy);
+    } catch {
+      await fsp.copyFile(dataFile(id), copy);
+    }
+    return copy;
+  };
+
+  // Verifies size and checksum, then hands the assembled file to `apply(upload, filePath)`; the upload is removed on success.
+  const completeUpload = async (id, sha256, apply) => {
+    const upload = await readUpload(id);
+    claim(id);
+    let copy = null;
+    try {
+      const received = await currentOffset(id);
+      if (received !== upload.size) throw httpError(409, 'Upload incomplete', { offset: received });
+      const expected = (sha256 || upload.sha256 || '').toLowerCase();
+      const actual = await hashFile(dataFile(id));
+      if (expected && expected !== actual) throw httpError(422, 'Checksum mismatch', { sha256: actual });
+      copy = await workingCopy(id);
+      const result = await apply(upload, copy);
+      await fsp.rm(uploadPath(id), { recursive: true, force: true });
+      return { ...result, sha256: actual, size: received };
+    } catch (err) {
+      if (copy) await fsp.rm(copy, { force: true });
+      throw err;
+    } finally {
+      activeWrites.delete(id);
+    }
+  };
+
+  const abortUpload = async id => {
+    await readUpload(id);
+    claim(id);
+    try {
+      await fsp.rm(uploadPath(id), { recursive: true, force: true });
+    } finally {
+      activeWrites.delete(id);
+    }
+    return { uploadId: id, aborted: true };
+  };
+
+  // Removes uploads idle for longer than the TTL, and folders left without metadata by an interrupted start.
+  const purgeExpired = async () => {
+    const now = Date.now();
+    const purged = [];
+    for (const id of await listIds()) {
+      if (activeWrites.has(id)) continue;
+      let upload;
+      try {
+        upload = JSON.parse(await fsp.readFile(metaFile(id), 'utf8'));
+      } catch (err) {
+        if (err.code !== 'ENOENT' && !(err instanceof SyntaxError)) throw err;
+        upload = { id, createdAt: (await fsp.stat(uploadPath(id))).mtime.toISOString() };
+      }
+      const expiry = expiresAt(upload);
+      if (!expiry || new Date(expiry).getTime() > now) continue;
+      await fsp.rm(uploadPath(id), { recursive: true, force: true });
+      purged.push({ uploadId: id, filename: upload.filename || null, target: upload.target || null, createdAt: upload.createdAt, updatedAt: upload.updatedAt || upload.createdAt });
+    }
+    return purged;
+  };
+
+  return {
+    startUpload,
+    getUpload,
+    writeChunk,
+    completeUpload,
+    abortUpload,
+    purgeExpired
+  };
+};
+
+module.exports = {
+  TARGET_TYPES,
+  createChunkedUploads
+};
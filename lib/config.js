@@ -0,0 +1,181 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const yaml = require('js-yaml');
+
+const MiB = 1024 * 1024;
+const CONFIG_FILES = ['blog.config.json', 'blog.config.yml', 'blog.config.yaml'];
+
+// Paths are relative to `root` unless absolute.
+const DEFAULTS = {
+  root: '.',
+  port: 4001,
+  token: '',
+  paths: {
+    posts: 'posts',
+    tags: 'tags.json',
+    redirects: 'redirects.json',
+    tokens: 'tokens.json',
+    webhooks: 'webhooks.json',
+    sessions: 'uploads/sessions',
+    staging: 'uploads/staging',
+    uploadTmp: 'uploads/tmp',
+    chunks: 'uploads/chunks',
+    revisions: 'revisions',
+    trash: 'trash',
+    audit: 'audit',
+    deliveries: 'webhooks/deliveries'
+  },
+  limits: {
+    jsonBytes: 5 * MiB,
+    contentBytes: 8 * MiB,
+    inlineUploadBytes: 15 * MiB,
+    uploadBytes: 1024 * MiB,
+    importEntryBytes: 1024 * MiB,
+    importUnpackedBytes: 4096 * MiB
+  },
+  build: { command: 'npm run build' },
+  scheduler: { intervalSeconds: 60 },
+  trash: { maxAgeDays: 30 },
+  revisions: { limit: 50 },
+  audit: { maxBytes: 5 * MiB, keep: 10 },
+  uploadSessions: { ttlHours: 24 },
+  chunkedUploads: { ttlHours: 24, maxActive: 50 },
+  webhooks: { maxAttempts: 5, logLimit: 500 },
+  git: { commit: false, pushRemote: '', pushBranch: '', name: 'Blog backend', email: 'blog-backend@localhost' },
+  preview: { assetBaseUrl: '' }
+};
+
+const flag = value => ['1', 'true'].includes(String(value));
+
+// Environment variables still override the config file, so existing deployments keep working.
+const ENV_VARS = [
+  ['BLOG_CONTENT_ROOT', 'root', String],
+  ['BLOG_API_PORT', 'port', Number],
+  ['BLOG_API_TOKEN', 'token', String],
+  ['BLOG_BUILD_COMMAND', 'build.command', String],
+  ['BLOG_UPLOAD_MAX_BYTES', 'limits.uploadBytes', Number],
+  ['BLOG_SCHEDULER_INTERVAL', 'scheduler.intervalSeconds', Number],
+  ['BLOG_TRASH_MAX_AGE_DAYS', 'trash.maxAgeDays', Number],
+  ['BLOG_REVISION_LIMIT', 'revisions.limit', Number],
+  ['BLOG_AUDIT_MAX_BYTES', 'audit.maxBytes', Number],
+  ['BLOG_AUDIT_KEEP', 'audit.keep', Number],
+  ['BLOG_UPLOAD_SESSION_TTL_HOURS', 'uploadSessions.ttlHours', Number],
+  ['BLOG_CHUNKED_UPLOAD_TTL_HOURS', 'chunkedUploads.ttlHours', Number],
+  ['BLOG_CHUNKED_UPLOAD_MAX_ACTIVE', 'chunkedUploads.maxActive', Number],
+  ['BLOG_WEBHOOK_MAX_ATTEMPTS', 'webhooks.maxAttempts', Number],
+  ['BLOG_WEBHOOK_LOG_LIMIT', 'webhooks.logLimit', Number],
+  ['BLOG_GIT_COMMIT', 'git.commit', flag],
+  ['BLOG_GIT_PUSH_REMOTE', 'git.pushRemote', String],
+  ['BLOG_GIT_PUSH_BRANCH', 'git.pushBranch', String],
+  ['BLOG_GIT_NAME', 'git.name', String],
+  ['BLOG_GIT_EMAIL', 'git.email', String],
+  ['BLOG_PREVIEW_ASSET_BASE_URL', 'preview.assetBaseUrl', String]
+];
+
+const NUMBERS = [
+  'port',
+  'limits.jsonBytes',
+  'limits.contentBytes',
+  'limits.inlineUploadBytes',
+  'limits.uploadBytes',
+  'limits.importEntryBytes',
+  'limits.importUnpackedBytes',
+  'scheduler.intervalSeconds',
+  'trash.maxAgeDays',
+  'revisions.limit',
+  'audit.maxBytes',
+  'audit.keep',
+  'uploadSessions.ttlHours',
+  'chunkedUploads.ttlHours',
+  'chunkedUploads.maxActive',
+  'webhooks.maxAttempts',
+  'webhooks.logLimit'
+];
+
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const merge = (base, override) => {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    if (value === undefined) continue;
+    result[key] = isPlainObject(value) && isPlainObject(base[key]) ? merge(base[key], value) : value;
+  }
+  return result;
+};
+
+const getPath = (object, dotted) => dotted.split('.').reduce((value, key) => (value ? value[key] : undefined), object);
+
+const setPath = (object, dotted, value) => {
+  const keys = dotted.split('.');
+  const last = keys.pop();
+  keys.reduce((target, key) => {
+    target[key] = target[key] || {};
+    return target[key];
+  }, object)[last] = value;
+  return object;
+};
+
+const fromEnv = env => ENV_VARS.reduce((options, [name, key, parse]) => (
+  env[name] === undefined || env[name] === '' ? options : setPath(options, key, parse(env[name]))
+), {});
+
+const readConfigFile = file => {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    throw new Error(`Cannot read config file ${file}: ${err.message}`);
+  }
+  try {
+    const parsed = /\.json$/i.test(file) ? JSON.parse(raw) : yaml.load(raw);
+    if (parsed !== undefined && parsed !== null && !isPlainObject(parsed)) throw new Error('expected an object');
+    return parsed || {};
+  } catch (err) {
+    throw new Error(`Invalid config file ${file}: ${err.message}`);
+  }
+};
+
+/**
+ * Builds the full configuration from `options` (the same shape as the config file).
+ * `options.configFile` is read first and the other options override it. A relative
+ * `root` resolves against the config file's directory, otherwise against `baseDir`.
+ */
+const resolveConfig = (options = {}, baseDir = process.cwd()) => {
+  const { configFile, ...overrides } = options;
+  let fileOptions = {};
+  let dir = baseDir;
+  if (configFile) {
+    const file = path.resolve(baseDir, configFile);
+    fileOptions = readConfigFile(file);
+    dir = path.dirname(file);
+  }
+  const merged = merge(merge(DEFAULTS, fileOptions), overrides);
+  for (const key of NUMBERS) {
+    const value = getPath(merged, key);
+    if (typeof value !== 'number' || Number.isNaN(value) || value < 0) {
+      throw new Error(`Config ${key} must be a non-negative number`);
+    }
+  }
+  const root = path.resolve(dir, merged.root);
+  const paths = {};
+  for (const [key, value] of Object.entries(merged.paths)) {
+    paths[key] = path.resolve(root, value);
+  }
+  // `source` is informational; an already resolved config resolves to itself.
+  return { ...merged, source: merged.source || (configFile ? path.resolve(baseDir, configFile) : null), root, paths };
+};
+
+// For the CLI: `file`, else BLOG_CONFIG, else a blog.config.{json,yml,yaml} in `searchDir`; BLOG_* variables override it.
+const loadConfig = ({ file, env = process.env, searchDir = process.cwd() } = {}) => {
+  const configFile = file || env.BLOG_CONFIG || CONFIG_FILES.map(name => path.join(searchDir, name)).find(name => fs.existsSync(name));
+  return resolveConfig({ configFile, ...fromEnv(env) }, searchDir);
+};
+
+module.exports = {
+  DEFAULTS,
+  CONFIG_FILES,
+  resolveConfig,
+  loadConfig
+};
@@ -0,0 +1,29 @@
+'use strict';
+
+const createFolderLocks = () => {
+  const tails = new Map();
+
+  // Runs `task` after every earlier task queued for the same folder has settled.
+  const withFolderLock = (folder, task) => {
+    const previous = tails.get(folder) || Promise.resolve();
+    const run = previous.then(() => task());
+    const tail = run.catch(() => {}).then(() => {
+      if (tails.get(folder) === tail) tails.delete(folder);
+    });
+    tails.set(folder, tail);
+    return run;
+  };
+
+  // Takes several locks in sorted order so overlapping multi-folder tasks cannot deadlock each other.
+  const withFolderLocks = (folders, task) => Array.from(new Set(folders)).sort()
+    .reduceRight((next, folder) => () => withFolderLock(folder, next), task)();
+
+  return {
+    withFolderLock,
+    withFolderLocks
+  };
+};
+
+module.exports = {
+  createFolderLocks
+};
@@ -0,0 +1,210 @@
+'use strict';
+
+const { execFile } = require('child_process');
+
+const MAX_BUFFER = 64 * 1024 * 1024;
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const trailer = (lines, key) => (lines.find(line => line.startsWith(`${key}: `)) || '').slice(key.length + 2) || null;
+
+const createGitHistory = (config) => {
+  const ENABLED = Boolean(config.git.commit);
+  const PUSH_REMOTE = config.git.pushRemote;
+  const PUSH_BRANCH = config.git.pushBranch;
+  const COMMITTER = { name: config.git.name, email: config.git.email };
+
+  let queue = Promise.resolve();
+  const pushState = { running: false, again: false, lastPushAt: null, lastError: null };
+
+  const git = (args, env = {}) => new Promise((resolve, reject) => {
+    execFile('git', args, { cwd: config.root, maxBuffer: MAX_BUFFER, env: { ...process.env, ...env } }, (err, stdout, stderr) => {
+      if (err) {
+        err.message = `git ${args[0]} failed: ${(stderr || err.message).trim()}`;
+        reject(err);
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+
+  // Commits run one at a time so concurrent mutations never interleave their add/commit steps.
+  const enqueue = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const assertEnabled = () => {
+    if (!ENABLED) throw httpError(404, 'Git history is not enabled (set git.commit in the config or BLOG_GIT_COMMIT=1)');
+  };
+
+  // Fails early when history is on but the content directory is not inside a work tree.
+  const init = async () => {
+    if (!ENABLED) return;
+    const inside = await git(['rev-parse', '--is-inside-work-tree']).catch(() => '');
+    if (inside.trim() !== 'true') {
+      throw new Error(`Git history is enabled but ${config.root} is not a git work tree`);
+    }
+  };
+
+  // Lists changed files under `paths` from `git status -z`, including both sides of a staged rename.
+  // Porcelain paths are relative to the top of the work tree, hence the `:(top)` pathspecs.
+  const changedFiles = async (paths) => {
+    const entries = (await git(['status', '--porcelain', '-z', '--untracked-files=all', '--', ...paths])).split('\0');
+    const files = [];
+    for (let i = 0; i < entries.length; i += 1) {
+      const entry = entries[i];
+      if (!entry) continue;
+      files.push(`:(top)${entry.slice(3)}`);
+      if (entry[0] === 'R' || entry[0] === 'C') files.push(`:(top)${entries[(i += 1)]}`);
+    }
+    return files;
+  };
+
+  const push = () => {
+    if (!PUSH_REMOTE) return;
+    if (pushState.running) {
+      pushState.again = true;
+      return;
+    }
+    pushState.running = true;
+    const target = PUSH_BRANCH ? `HEAD:refs/heads/${PUSH_BRANCH}` : 'HEAD';
+    git(['push', PUSH_REMOTE, target]).then(() => {
+      pushState.lastPushAt = new Date().toISOString();
+      pushState.lastError = null;
+    }).catch(err => {
+      pushState.lastError = err.message;
+      console.error(err.message);
+    }).finally(() => {
+      pushState.running = false;
+      // Commits made while a push was running go out in one follow-up push.
+      if (pushState.again) {
+        pushState.again = false;
+        push();
+      }
+    });
+  };
+
+  /**
+   * Commits the current state of `paths` (relative to the content root) and nothing else.
+   * `renamedFrom` (old file path) is recorded as a trailer so `log` can follow the rename.
+   * Resolves with the new commit hash, or null when disabled or nothing changed; never rejects,
+   * since the content itself has already been written.
+   */
+  const commit = (paths, message, actor, { renamedFrom } = {}) => {
+    if (!ENABLED) return Promise.resolve(null);
+    return enqueue(async () => {
+      const files = await changedFiles(paths.filter(Boolean));
+      if (!files.length) return null;
+      await git(['add', '-A', '--', ...files]);
+      const author = actor && actor.name ? actor.name : COMMITTER.name;
+      const trailers = [
+        actor ? `Actor: ${actor.name} (${actor.id}${actor.role ? `, ${actor.role}` : ''})` : null,
+        renamedFrom ? `Renamed-from: ${renamedFrom}` : null
+      ].filter(Boolean);
+      const body = trailers.length ? `${message}\n\n${trailers.join('\n')}` : message;
+      await git(['commit', '-q', '--no-verify', `--author=${author} <${COMMITTER.email}>`, '-m', body, '--', ...files], {
+        GIT_COMMITTER_NAME: COMMITTER.name,
+        GIT_COMMITTER_EMAIL: COMMITTER.email
+      });
+      const hash = (await git(['rev-parse', 'HEAD'])).trim();
+      push();
+      return hash;
+    }).catch(err => {
+      console.error(err.message);
+      return null;
+    });
+  };
+
+  const readLog = async (file, limit, revision) => {
+    let output;
+    try {
+      output = await git(['log', '--follow', `-n${limit}`, '--name-only', '--format=%x1e%H%x1f%an%x1f%aI%x1f%s%x1f%b', ...(revision ? [revision] : []), '--', file]);
+    } catch (err) {
+      // A repository without commits yet has no history for anything.
+      if (/does not have any commits|bad default revision/.test(err.message)) return [];
+      throw err;
+    }
+    return output.split('\x1e').filter(Boolean).map(chunk => {
+      // The body runs into the --name-only file list, so the path is its last non-empty line.
+      const [commitHash, author, date, subject, body] = chunk.split('\x1f');
+      const lines = body.split('\n');
+      return {
+        commit: commitHash,
+        author,
+        date,
+        message: subject,
+        actor: trailer(lines, 'Actor'),
+        path: lines.filter(Boolean).pop(),
+        renamedFrom: trailer(lines, 'Renamed-from')
+      };
+    });
+  };
+
+  // Newest first; `path` is the file at that commit. Git's rename detection misses posts whose
+  // content changed a lot in the rename, so `Renamed-from` trailers are followed as well.
+  const log = async (file, { limit = 50 } = {}) => {
+    assertEnabled();
+    const entries = [];
+    const seen = new Set();
+    let next = { file, revision: null };
+    while (next && entries.length < limit) {
+      const batch = await readLog(next.file, limit - entries.length, next.revision);
+      batch.filter(entry => !seen.has(entry.commit)).forEach(entry => {
+        seen.add(entry.commit);
+        entries.push(entry);
+      });
+      const oldest = batch[batch.length - 1];
+      next = oldest && oldest.renamedFrom ? { file: oldest.renamedFrom, revision: `${oldest.commit}^` } : null;
+    }
+    return entries.slice(0, limit);
+  };
+
+  // Reads `file` as it was at `revision`, which must be a commit from `log(file)`.
+  const show = async (file, revision) => {
+    assertEnabled();
+    if (!/^[0-9a-f]{4,40}$/i.test(revision || '')) throw httpError(400, 'Invalid commit');
+    const entry = (await log(file, { limit: 10000 })).find(item => item.commit.startsWith(revision.toLowerCase()));
+    if (!entry) throw httpError(404, 'Commit not found in this post\'s history');
+    try {
+      return { ...entry, raw: await git(['show', `${entry.commit}:${entry.path}`]) };
+    } catch {
+      throw httpError(404, 'File was deleted in this commit');
+    }
+  };
+
+  const status = async () => {
+    if (!ENABLED) return { enabled: false };
+    await queue;
+    const [branch, head] = await Promise.all([
+      git(['rev-parse', '--abbrev-ref', 'HEAD']).catch(() => ''),
+      git(['rev-parse', 'HEAD']).catch(() => '')
+    ]);
+    return {
+      enabled: true,
+      branch: branch.trim() || null,
+      head: head.trim() || null,
+      push: PUSH_REMOTE ? {
+        remote: PUSH_REMOTE,
+        branch: PUSH_BRANCH || null,
+        running: pushState.running,
+        lastPushAt: pushState.lastPushAt,
+        lastError: pushState.lastError
+      } : null
+    };
+  };
+
+  return {
+    enabled: ENABLED,
+    init,
+    commit,
+    log,
+    show,
+    status
+  };
+};
+
+module.exports = {
+  createGitHistory
+};
@@ -0,0 +1,112 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const fsp = fs.promises;
+const sharp = require('sharp');
+
+const VARIANT_WIDTHS = [640, 1280, 1920];
+const THUMB_WIDTH = 480;
+const SNIFF_BYTES = 32;
+
+const unsupported = () => Object.assign(new Error('Unsupported image type'), { status: 415 });
+
+const readHead = async file => {
+  const handle = await fsp.open(file, 'r');
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+    return buffer.slice(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+// Identifies the format from magic bytes; the uploaded filename is never trusted.
+const sniffImageType = head => {
+  if (head.length >= 3 && head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return { format: 'jpeg', ext: 'jpg', mime: 'image/jpeg' };
+  if (head.length >= 8 && head.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return { format: 'png', ext: 'png', mime: 'image/png' };
+  if (head.length >= 6 && /^GIF8[79]a$/.test(head.slice(0, 6).toString('latin1'))) return { format: 'gif', ext: 'gif', mime: 'image/gif' };
+  if (head.length >= 12 && head.slice(0, 4).toString('latin1') === 'RIFF' && head.slice(8, 12).toString('latin1') === 'WEBP') return { format: 'webp', ext: 'webp', mime: 'image/webp' };
+  if (head.length >= 12 && head.slice(4, 8).toString('latin1') === 'ftyp' && /^avi[fs]$/.test(head.slice(8, 12).toString('latin1'))) return { format: 'avif', ext: 'avif', mime: 'image/avif' };
+  return null;
+};
+
+const encode = (pipeline, format) => {
+  if (format === 'jpeg') return pipeline.jpeg({ quality: 88, mozjpeg: true });
+  if (format === 'png') return pipeline.png();
+  if (format === 'webp') return pipeline.webp({ quality: 88 });
+  if (format === 'avif') return pipeline.avif();
+  return pipeline.gif();
+};
+
+const safeBase = filename => {
+  const base = path.basename(filename || 'image').replace(/\.[^.]+$/, '').replace(/[\\/:*?"<>|\s]+/g, '-').replace(/^-+|-+$/g, '');
+  return base || 'image';
+};
+
+const SUFFIXES = ['', ...VARIANT_WIDTHS.map(width => `-${width}w`), '-thumb'];
+
+// Appends `-1`, `-2`, ... until neither the image nor any of its variants would overwrite a file in `destDir`.
+const uniqueBase = (destDir, base, ext) => {
+  let candidate = base;
+  let suffix = 1;
+  while (SUFFIXES.some(variant => fs.existsSync(path.join(destDir, `${candidate}${variant}.${ext}`)))) {
+    candidate = `${base}-${suffix++}`;
+  }
+  return candidate;
+};
+
+// Writes an auto-rotated copy without EXIF/GPS metadata plus resized variants and a thumbnail into `destDir`.
+// Existing files are never overwritten, and nothing is left behind if any of the writes fails.
+const processImage = async (sourcePath, destDir, filename) => {
+  const type = sniffImageType(await readHead(sourcePath));
+  if (!type) throw unsupported();
+  const animated = type.format === 'gif' || type.format === 'webp';
+  const base = uniqueBase(destDir, safeBase(filename), type.ext);
+  const name = suffix => `${base}${suffix}.${type.ext}`;
+  const open = () => sharp(sourcePath, { animated }).rotate();
+  const written = [];
+  const write = async (pipeline, suffix) => {
+    const file = path.join(destDir, name(suffix));
+    written.push(file);
+    return await encode(pipeline, type.format).toFile(file);
+  };
+
+  try {
+    let original;
+    try {
+      original = await write(open(), '');
+    } catch (err) {
+      throw Object.assign(unsupported(), { body: { reason: err.message } });
+    }
+    const width = original.width;
+    const height = original.pageHeight || original.height;
+
+    const variants = [];
+    for (const variantWidth of VARIANT_WIDTHS) {
+      if (variantWidth >= width) continue;
+      const info = await write(open().resize({ width: variantWidth }), `-${variantWidth}w`);
+      variants.push({ filename: name(`-${variantWidth}w`), width: info.width, height: info.pageHeight || info.height });
+    }
+
+    const thumbInfo = await write(open().resize({ width: Math.min(THUMB_WIDTH, width) }), '-thumb');
+
+    return {
+      filename: name(''),
+      mime: type.mime,
+      width,
+      height,
+      variants,
+      thumbnail: { filename: name('-thumb'), width: thumbInfo.width, height: thumbInfo.pageHeight || thumbInfo.height }
+    };
+  } catch (err) {
+    await Promise.all(written.map(file => fsp.rm(file, { force: true })));
+    throw err;
+  }
+};
+
+module.exports = {
+  sniffImageType,
+  processImage
+};
@@ -0,0 +1,167 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const fsp = fs.promises;
+const fm = require('hexo-front-matter');
+const { slugFromTitle, permalinkFromFolder, extractInternalLinks, extractWikiLinks, classifyLink } = require('./links');
+
+const notFound = () => Object.assign(new Error('Post not found'), { status: 404 });
+
+const toISODate = value => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString().slice(0, 10) : null;
+};
+
+const normalizePermalink = url => {
+  const pathname = url.split(/[?#]/)[0];
+  return pathname.endsWith('/') ? pathname : `${pathname}/`;
+};
+
+const isPostLink = (link, folder) => ['permalink', 'post', 'wiki'].includes(link.type) || link.target !== folder;
+
+const createLinkGraph = (config) => {
+  const postsRoot = config.paths.posts;
+
+  // Posts whose front matter does not parse are skipped and reported in `unreadable` rather than failing the scan.
+  const readPosts = async () => {
+    let folders;
+    try {
+      folders = await fsp.readdir(postsRoot);
+    } catch (err) {
+      if (err.code === 'ENOENT') return { posts: [], unreadable: [] };
+      throw err;
+    }
+    const posts = [];
+    const unreadable = [];
+    for (const folder of folders.sort()) {
+      let raw;
+      try {
+        raw = await fsp.readFile(path.join(postsRoot, folder, 'index.md'), 'utf8');
+      } catch (err) {
+        if (err.code === 'ENOENT' || err.code === 'ENOTDIR') continue;
+        throw err;
+      }
+      let data;
+      try {
+        data = fm.parse(raw);
+      } catch (err) {
+        unreadable.push({ folder, error: err.message });
+        continue;
+      }
+      const slug = data.slug ? String(data.slug) : folder.slice(11) || folder;
+      const aliases = (Array.isArray(data.alias) ? data.alias : [data.alias]).filter(Boolean).map(String);
+      posts.push({ folder, title: data.title || slug, slug, date: toISODate(data.date), aliases, body: data._content || '' });
+    }
+    return { posts, unreadable };
+  };
+
+  const assetExists = (folder, file) => {
+    const target = path.resolve(postsRoot, folder, file);
+    if (!target.startsWith(`${path.resolve(postsRoot, folder)}${path.sep}`)) return false;
+    return fs.existsSync(target);
+  };
+
+  // Lookup tables from permalinks, aliases and slugs to post folders.
+  const indexPosts = posts => {
+    const folders = new Set(posts.map(post => post.folder));
+    const permalinks = new Map();
+    const slugs = new Map();
+    for (const post of posts) {
+      permalinks.set(permalinkFromFolder(post.folder), post.folder);
+      if (post.date) permalinks.set(`/${post.date.replace(/-/g, '/')}/${post.slug}/`, post.folder);
+      // Old permalinks kept as aliases after a rename still resolve through their redirect.
+      post.aliases.forEach(alias => permalinks.set(normalizePermalink(alias), post.folder));
+      slugs.set(post.slug, post.folder);
+      slugs.set(post.folder.slice(11) || post.folder, post.folder);
+    }
+    return { folders, permalinks, slugs };
+  };
+
+  // Links carry `type`, `url`, `text`, `target` (folder or null) and `resolved`.
+  const resolveLinks = (body, { folders, permalinks, slugs }) => {
+    const seen = new Set();
+    const links = [];
+    for (const link of extractInternalLinks(body)) {
+      const info = classifyLink(link.url);
+      if (!info || seen.has(link.url)) continue;
+      seen.add(link.url);
+      let target = info.folder;
+      let resolved;
+      if (info.type === 'permalink') {
+        target = permalinks.get(normalizePermalink(link.url)) || null;
+        resolved = Boolean(target);
+      } else if (info.type === 'post') {
+        resolved = folders.has(target);
+      } else {
+        resolved = folders.has(target) && assetExists(target, info.file);
+      }
+      links.push({ type: info.type, url: link.url, text: link.text, target: folders.has(target) ? target : null, resolved });
+    }
+    // Obsidian links left unconverted (e.g. posts written through the API) still count when they match a slug.
+    for (const link of extractWikiLinks(body)) {
+      const key = `[[${link.targetTitle}]]`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      const target = slugs.get(link.targetSlug) || slugs.get(slugFromTitle(link.targetTitle)) || null;
+      links.push({ type: 'wiki', url: key, text: link.alias, target, resolved: Boolean(target) });
+    }
+    return links;
+  };
+
+  // Resolves every internal link of every post.
+  const buildGraph = async () => {
+    const { posts, unreadable } = await readPosts();
+    const index = indexPosts(posts);
+    for (const post of posts) {
+      post.links = resolveLinks(post.body, index);
+    }
+    return { posts, unreadable };
+  };
+
+  // Resolves the links of text that is not (or not yet) saved, such as a preview.
+  const checkLinks = async body => resolveLinks(body, indexPosts((await readPosts()).posts));
+
+  const linksForPost = async folder => {
+    const { posts, unreadable } = await buildGraph();
+    const post = posts.find(entry => entry.folder === folder);
+    const failed = unreadable.find(entry => entry.folder === folder);
+    if (failed) throw Object.assign(new Error(`Invalid front matter in ${folder}: ${failed.error}`), { status: 422, body: { code: 'invalid_front_matter' } });
+    if (!post) throw notFound();
+    const inbound = [];
+    for (const other of posts) {
+      if (other.folder === folder) continue;
+      for (const link of other.links) {
+        if (link.target === folder) inbound.push({ folder: other.folder, title: other.title, type: link.type, url: link.url, text: link.text });
+      }
+    }
+    return {
+      folder,
+      permalink: permalinkFromFolder(folder),
+      outbound: post.links.filter(link => isPostLink(link, folder)),
+      inbound
+    };
+  };
+
+  const brokenLinks = async () => {
+    const { posts, unreadable } = await buildGraph();
+    const broken = [];
+    for (const post of posts) {
+      for (const link of post.links) {
+        if (!link.resolved) broken.push({ folder: post.folder, title: post.title, type: link.type, url: link.url, text: link.text });
+      }
+    }
+    return { scanned: posts.length, total: broken.length, broken, unreadable };
+  };
+
+  return {
+    buildGraph,
+    checkLinks,
+    linksForPost,
+    brokenLinks
+  };
+};
+
+module.exports = {
+  createLinkGraph
+};
@@ -0,0 +1,154 @@
+'use strict';
+
+const path = require('path');
+const crypto = require('crypto');
+const { slugize } = require('hexo-util');
+
+const randomId = () => crypto.randomBytes(8).toString('hex');
+
+const slugFromTitle = title => slugize(title || '', { transform: 1 }) || slugize(randomId(), { transform: 1 });
+
+const permalinkFromFolder = folder => {
+  const date = folder.slice(0, 10);
+  const slug = folder.slice(11);
+  if (!date || !slug) return `/posts/${folder}/`;
+  const y = date.slice(0, 4);
+  const m = date.slice(5, 7);
+  const d = date.slice(8, 10);
+  return `/${y}/${m}/${d}/${slug}/`;
+};
+
+const ATTACHMENT_KINDS = {
+  image: ['png', 'jpg', 'jpeg', 'gif', 'webp', 'avif', 'svg', 'bmp'],
+  pdf: ['pdf'],
+  audio: ['mp3', 'wav', 'ogg', 'm4a', 'flac', 'aac'],
+  video: ['mp4', 'webm', 'mov', 'm4v']
+};
+
+const attachmentKind = target => {
+  const ext = path.extname(target.split(/[#?]/)[0]).slice(1).toLowerCase();
+  return Object.keys(ATTACHMENT_KINDS).find(kind => ATTACHMENT_KINDS[kind].includes(ext)) || null;
+};
+
+// Obsidian resolves embeds by file name, so attachments are keyed by their lower-cased base name.
+const attachmentKey = target => path.posix.basename(target.split(/[#?]/)[0].replace(/\\/g, '/')).toLowerCase();
+
+const decodeTarget = target => {
+  const trimmed = target.trim().replace(/^<(.*)>$/, '$1');
+  try {
+    return decodeURI(trimmed);
+  } catch {
+    return trimmed;
+  }
+};
+
+const WIKI_EMBED = /!\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g;
+const MARKDOWN_EMBED = /!\[([^\]]*)\]\((<[^>]+>|[^)\s]+)(?:\s+"[^"]*")?\)/g;
+
+const isLocalTarget = target => !/^([a-z][a-z0-9+.-]*:|\/\/|\/|#)/i.test(target);
+
+// Finds `![[file.ext|alias]]` and `![alt](relative/path.ext)` embeds of images, PDFs, audio and video.
+const extractEmbeds = body => {
+  const results = [];
+  let match;
+  while ((match = WIKI_EMBED.exec(body))) {
+    const target = match[1].trim();
+    const kind = attachmentKind(target);
+    if (kind) results.push({ key: attachmentKey(target), name: path.posix.basename(target), kind, alias: (match[2] || '').trim() });
+  }
+  while ((match = MARKDOWN_EMBED.exec(body))) {
+    const target = decodeTarget(match[2]);
+    const kind = isLocalTarget(target) ? attachmentKind(target) : null;
+    if (kind) results.push({ key: attachmentKey(target), name: path.posix.basename(target), kind, alias: match[1] });
+  }
+  return results;
+};
+
+const extractWikiLinks = body => {
+  const regex = /\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g;
+  const results = [];
+  let match;
+  while ((match = regex.exec(body))) {
+    if (body[match.index - 1] === '!' && attachmentKind(match[1].trim())) continue;
+    const targetTitle = match[1].trim();
+    const alias = (match[2] || match[1]).trim();
+    const targetSlug = slugFromTitle(targetTitle);
+    results.push({ targetTitle, alias, targetSlug });
+  }
+  return results;
+};
+
+const extractExternalLinks = body => {
+  const regex = /\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g;
+  const results = [];
+  let match;
+  while ((match = regex.exec(body))) {
+    // Remote image embeds are hot-linked, not archived.
+    if (body[match.index - 1] === '!') continue;
+    results.push({ text: match[1], url: match[2] });
+  }
+  return results;
+};
+
+const MARKDOWN_LINK = /(!?)\[([^\]]*)\]\((<[^>]+>|[^)\s]+)(?:\s+"[^"]*")?\)/g;
+const HTML_URL_ATTR = /\s(?:src|href|data|poster)="([^"]*)"/g;
+const HTML_SRCSET = /\ssrcset="([^"]*)"/g;
+const PERMALINK = /^\/(\d{4})\/(\d{2})\/(\d{2})\/([^/]+)\/?$/;
+
+const isSitePath = url => url.startsWith('/') && !url.startsWith('//');
+
+// URLs used in markdown links, images and the HTML the backend writes (galleries, embeds).
+const extractUrls = body => {
+  const results = [];
+  let match;
+  while ((match = MARKDOWN_LINK.exec(body))) {
+    results.push({ url: decodeTarget(match[3]), text: match[2], embed: match[1] === '!' });
+  }
+  while ((match = HTML_URL_ATTR.exec(body))) {
+    results.push({ url: match[1], text: '', embed: !/\shref="/.test(match[0]) });
+  }
+  while ((match = HTML_SRCSET.exec(body))) {
+    match[1].split(',').map(entry => entry.trim().split(/\s+/)[0]).filter(Boolean).forEach(url => results.push({ url, text: '', embed: true }));
+  }
+  return results;
+};
+
+// Site-relative URLs only.
+const extractInternalLinks = body => extractUrls(body).filter(link => isSitePath(link.url));
+
+// Maps a site path to the post it points at: a permalink, a post folder, or a file (`archives/...` or other asset) inside one.
+const classifyLink = url => {
+  let pathname = url.split(/[?#]/)[0];
+  try {
+    pathname = decodeURI(pathname);
+  } catch {
+    // keep the raw path
+  }
+  const asset = /^\/posts\/([^/]+)\/?(.*)$/.exec(pathname);
+  if (asset) {
+    const file = asset[2];
+    if (!file) return { type: 'post', folder: asset[1], file: null };
+    return { type: file.startsWith('archives/') ? 'archive' : 'asset', folder: asset[1], file };
+  }
+  const permalink = PERMALINK.exec(pathname);
+  if (permalink) return { type: 'permalink', folder: `${permalink[1]}-${permalink[2]}-${permalink[3]}-${permalink[4]}`, file: null };
+  return null;
+};
+
+module.exports = {
+  ATTACHMENT_KINDS,
+  WIKI_EMBED,
+  MARKDOWN_EMBED,
+  slugFromTitle,
+  permalinkFromFolder,
+  attachmentKind,
+  attachmentKey,
+  decodeTarget,
+  isLocalTarget,
+  extractEmbeds,
+  extractWikiLinks,
+  extractExternalLinks,
+  extractUrls,
+  extractInternalLinks,
+  classifyLink
+};
@@ -0,0 +1,232 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const fsp = fs.promises;
+const crypto = require('crypto');
+
+const CRLF = Buffer.from('\r\n');
+const HEADER_END = Buffer.from('\r\n\r\n');
+const MAX_HEADER_SIZE = 16 * 1024;
+const MAX_FIELD_SIZE = 1024 * 1024;
+const MAX_FIELDS = 20;
+
+const httpError = (status, message, code) => Object.assign(new Error(message), { status, body: code ? { code } : undefined });
+
+// Resolves once the write stream has released its file descriptor, so the temp file can be removed safely.
+const closeStream = stream => new Promise(resolve => {
+  if (stream.closed) return resolve();
+  stream.once('close', resolve);
+  stream.destroy();
+});
+
+const getBoundary = contentType => {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+  return match ? (match[1] || match[2]).trim() : null;
+};
+
+const isMultipart = req => /^multipart\/form-data/i.test(req.headers['content-type'] || '');
+
+const parseHeaders = raw => {
+  const headers = {};
+  raw.split('\r\n').forEach(line => {
+    const index = line.indexOf(':');
+    if (index === -1) return;
+    headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+  });
+  const disposition = headers['content-disposition'] || '';
+  const name = /\bname="([^"]*)"/i.exec(disposition);
+  const filenameStar = /\bfilename\*=(?:UTF-8'')?([^;]+)/i.exec(disposition);
+  const filename = /\bfilename="([^"]*)"/i.exec(disposition);
+  let decodedName = null;
+  if (filenameStar) {
+    try {
+      decodedName = decodeURIComponent(filenameStar[1].trim());
+    } catch {
+      decodedName = filenameStar[1].trim();
+    }
+  } else if (filename) {
+    decodedName = filename[1];
+  }
+  return {
+    name: name ? name[1] : null,
+    filename: decodedName,
+    mimeType: headers['content-type'] || 'application/octet-stream'
+  };
+};
+
+// Streams every file part of a multipart/form-data request into `tmpDir`; text fields are kept in memory.
+// Resolves with `{ fields, files }`, where each file has `{ field, filename, mimeType, path, size, sha256 }`.
+// `limit` bounds the whole body (plus MAX_FIELD_SIZE for text fields and part headers); `maxFiles` caps file parts.
+const parseMultipart = async (req, { tmpDir, limit, maxFiles = 1 }) => {
+  const boundary = getBoundary(req.headers['content-type']);
+  if (!boundary) throw httpError(400, 'Missing multipart boundary', 'malformed_multipart');
+  await fsp.mkdir(tmpDir, { recursive: true });
+  return await new Promise((resolve, reject) => {
+    collectParts(req, { boundary, tmpDir, limit, maxFiles }, resolve, reject);
+  });
+};
+
+const collectParts = (req, { boundary, tmpDir, limit, maxFiles }, resolve, reject) => {
+  const delimiter = Buffer.from(`\r\n--${boundary}`);
+  const fields = {};
+  const files = [];
+  let state = 'preamble';
+  let buffer = Buffer.from(CRLF);
+  let part = null;
+  let failed = false;
+  let pendingWrites = 0;
+  let ended = false;
+  let received = 0;
+  let fieldCount = 0;
+
+  const cleanup = () => Promise.all(files.map(file => fsp.rm(file.path, { force: true })));
+
+  const fail = err => {
+    if (failed) return;
+    failed = true;
+    const open = part && part.stream ? closeStream(part.stream) : Promise.resolve();
+    req.resume();
+    open.then(cleanup).finally(() => reject(err));
+  };
+
+  const maybeResolve = () => {
+    if (failed || !ended || pendingWrites > 0) return;
+    resolve({ fields, files });
+  };
+
+  const startPart = headers => {
+    if (headers.filename === null ? ++fieldCount > MAX_FIELDS : files.length >= maxFiles) {
+      fail(httpError(400, headers.filename === null ? `Too many fields (at most ${MAX_FIELDS})` : `Too many file parts (at most ${maxFiles})`, 'too_many_parts'));
+      return;
+    }
+    part = { ...headers, chunks: [], size: 0 };
+    if (headers.filename === null) return;
+    const file = {
+      field: headers.name,
+      filename: path.basename(headers.filename || 'upload.bin'),
+      mimeType: headers.mimeType,
+      path: path.join(tmpDir, `${crypto.randomBytes(8).toString('hex')}.part`),
+      size: 0,
+      sha256: null
+    };
+    files.push(file);
+    part.file = file;
+    part.hash = crypto.createHash('sha256');
+    part.stream = fs.createWriteStream(file.path);
+    part.stream.on('error', fail);
+    pendingWrites++;
+  };
+
+  const writePart = data => {
+    if (!data.length) return;
+    part.size += data.length;
+    if (part.file) {
+      if (part.size > limit) {
+        fail(httpError(413, 'Payload too large'));
+        return;
+      }
+      part.hash.update(data);
+      if (!part.stream.write(data)) {
+        req.pause();
+        part.stream.once('drain', () => req.resume());
+      }
+    } else {
+      if (part.size > MAX_FIELD_SIZE) {
+        fail(httpError(413, 'Field too large'));
+        return;
+      }
+      part.chunks.push(data);
+    }
+  };
+
+  const endPart = () => {
+    const current = part;
+    part = null;
+    if (!current.file) {
+      if (current.name) fields[current.name] = Buffer.concat(current.chunks).toString('utf8');
+      return;
+    }
+    current.file.size = current.size;
+    current.file.sha256 = current.hash.digest('hex');
+    current.stream.end(() => {
+      pendingWrites--;
+      maybeResolve();
+    });
+  };
+
+  const consume = () => {
+    while (!failed) {
+      if (state === 'preamble' || state === 'boundary') {
+        const index = buffer.indexOf(delimiter);
+        if (index === -1) {
+          if (state === 'boundary') return;
+          buffer = buffer.slice(Math.max(0, buffer.length - delimiter.length));
+          return;
+        }
+        if (buffer.length < index + delimiter.length + 2) return;
+        const after = buffer.slice(index + delimiter.length, index + delimiter.length + 2).toString();
+        if (after === '--') {
+          state = 'done';
+          buffer = Buffer.alloc(0);
+          return;
+        }
+        buffer = buffer.slice(index + delimiter.length + 2);
+        state = 'headers';
+      } else if (state === 'headers') {
+        const index = buffer.indexOf(HEADER_END);
+        if (index === -1) {
+          if (buffer.length > MAX_HEADER_SIZE) fail(httpError(400, 'Multipart headers too large', 'malformed_multipart'));
+          return;
+        }
+        startPart(parseHeaders(buffer.slice(0, index).toString('utf8')));
+        if (failed) return;
+        buffer = buffer.slice(index + HEADER_END.length);
+        state = 'body';
+      } else if (state === 'body') {
+        const index = buffer.indexOf(delimiter);
+        if (index === -1) {
+          const safe = buffer.length - delimiter.length;
+          if (safe > 0) {
+            writePart(buffer.slice(0, safe));
+            buffer = buffer.slice(safe);
+          }
+          return;
+        }
+        writePart(buffer.slice(0, index));
+        if (failed) return;
+        endPart();
+        buffer = buffer.slice(index);
+        state = 'boundary';
+      } else {
+        return;
+      }
+    }
+  };
+
+  req.on('data', chunk => {
+    if (failed) return;
+    received += chunk.length;
+    if (received > limit + MAX_FIELD_SIZE) {
+      fail(httpError(413, 'Payload too large'));
+      return;
+    }
+    buffer = Buffer.concat([buffer, chunk]);
+    consume();
+  });
+  // A body cut off before the closing delimiter leaves a part open that will never be ended.
+  req.on('end', () => {
+    ended = true;
+    if (state !== 'done') {
+      fail(httpError(400, 'Malformed multipart body: truncated before the closing boundary', 'malformed_multipart'));
+      return;
+    }
+    maybeResolve();
+  });
+  req.on('error', fail);
+};
+
+module.exports = {
+  isMultipart,
+  parseMultipart
+};
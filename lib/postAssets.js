@@ -0,0 +1,320 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const fsp = fs.promises;
+const fm = require('hexo-front-matter');
+const { attachmentKind, extractUrls, isLocalTarget } = require('./links');
+const { validationError } = require('./validation');
+
+// Front matter fields that hold an image URL (the theme's post cover and header image).
+const REFERENCE_FIELDS = ['cover', 'top_img'];
+
+const MIME_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  svg: 'image/svg+xml',
+  bmp: 'image/bmp',
+  pdf: 'application/pdf',
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  ogg: 'audio/ogg',
+  m4a: 'audio/mp4',
+  flac: 'audio/flac',
+  aac: 'audio/aac',
+  mp4: 'video/mp4',
+  webm: 'video/webm',
+  mov: 'video/quicktime',
+  m4v: 'video/x-m4v',
+  html: 'text/html',
+  htm: 'text/html'
+};
+
+// Resized copies written by lib/images.js: `<base>-<width>w.<ext>` and `<base>-thumb.<ext>`.
+const VARIANT = /^(.+)-(?:\d+w|thumb)(\.[^./]+)$/;
+
+const httpError = (status, message, code, body) => Object.assign(new Error(message), { status, body: { code, ...body } });
+
+const assetNotFound = () => httpError(404, 'Asset not found', 'asset_not_found');
+
+const safeDecode = value => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+};
+
+const encodeFile = file => file.split('/').map(encodeURIComponent).join('/');
+
+// The URL the upload endpoints write for `file` (relative to the post folder).
+const assetUrl = (folder, file) => `/posts/${folder}/${encodeFile(file)}`;
+
+const typeOf = file => (file.startsWith('archives/') ? 'archive' : attachmentKind(file) || 'other');
+
+const mimeOf = file => MIME_TYPES[path.extname(file).slice(1).toLowerCase()] || 'application/octet-stream';
+
+// Maps a URL used in `folder`'s post to the `{ folder, file }` it points at; post-relative paths count too.
+const assetTarget = (url, folder) => {
+  const pathname = url.split(/[?#]/)[0];
+  const site = /^\/posts\/([^/]+)\/(.+)$/.exec(pathname);
+  if (site) return { folder: safeDecode(site[1]), file: site[2].split('/').map(safeDecode).join('/') };
+  if (!pathname || !isLocalTarget(pathname)) return null;
+  const file = path.posix.normalize(pathname.split('/').map(safeDecode).join('/'));
+  return file.startsWith('..') ? null : { folder, file };
+};
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Every spelling of each renamed or deleted file's URL, mapped to what replaces it. Post-relative
+// spellings only apply in the asset's own post.
+const urlForms = (folder, renames, own) => {
+  const forms = new Map();
+  for (const [from, to] of renames) {
+    for (const spelling of new Set([encodeFile(from), encodeURI(from), from])) {
+      forms.set(`/posts/${folder}/${spelling}`, to === null ? '' : assetUrl(folder, to));
+      if (!own) continue;
+      forms.set(spelling, to === null ? '' : encodeFile(to));
+      forms.set(`./${spelling}`, to === null ? '' : `./${encodeFile(to)}`);
+    }
+  }
+  return forms;
+};
+
+// Matches a whole URL: a markdown link target, an attribute value, a srcset entry or a whole front matter value.
+// Post-relative spellings need a markdown or attribute delimiter, so words in the text never match.
+const urlPattern = forms => {
+  const keys = Array.from(forms.keys()).sort((left, right) => right.length - left.length);
+  const alternatives = list => list.map(escapeRegExp).join('|');
+  const site = keys.filter(key => key.startsWith('/posts/'));
+  const relative = keys.filter(key => !key.startsWith('/posts/'));
+  const parts = [`(?<=^|[("'<\\s,])(?:${alternatives(site)})`];
+  if (relative.length) parts.push(`(?<=[("'<])(?:${alternatives(relative)})`);
+  return `(?:${parts.join('|')})(?=$|[)"'>\\s#?,])`;
+};
+
+// Returns `text => text` that points references to renamed files at their new names;
+// `renames` is a list of `[from, to]` file paths relative to `folder`.
+const assetRewriter = (folder, renames, own) => {
+  const forms = urlForms(folder, renames, own);
+  const pattern = new RegExp(urlPattern(forms), 'g');
+  return text => (typeof text === 'string' ? text.replace(pattern, url => forms.get(url)) : text);
+};
+
+// Returns `(text, field) => text` without references to deleted files: gallery entries and embeds are
+// dropped, links keep their text, and a front matter field that is only the URL becomes empty.
+const assetRemover = (folder, files, own) => {
+  const url = `(?:${urlPattern(urlForms(folder, files.map(file => [file, null]), own))})`;
+  const attr = `"${url}[^"]*"`;
+  const steps = [
+    [new RegExp(`^[ \\t]*<a\\s[^>]*href=${attr}[^>]*>\\s*<img\\b[^>]*>\\s*</a>[ \\t]*\\n?`, 'gm'), ''],
+    [new RegExp(`<(video|audio|object)\\b[^>]*\\s(?:src|data|poster)=${attr}[^>]*>[\\s\\S]*?</\\1>`, 'g'), ''],
+    [new RegExp(`<(?:img|source|embed)\\b[^>]*\\s(?:src|data|srcset)=${attr}[^>]*>`, 'g'), ''],
+    [new RegExp(`<a\\s[^>]*href=${attr}[^>]*>([\\s\\S]*?)</a>`, 'g'), '$1'],
+    [new RegExp(`!\\[[^\\]]*\\]\\(<?${url}[^)\\s>]*>?(?:\\s+"[^"]*")?\\)`, 'g'), ''],
+    [new RegExp(`\\[([^\\]]*)\\]\\(<?${url}[^)\\s>]*>?(?:\\s+"[^"]*")?\\)`, 'g'), '$1'],
+    [/\n*<div class="upload-gallery"[^>]*>\s*<\/div>[ \t]*/g, '']
+  ];
+  const whole = new RegExp(`^${url}([?#].*)?$`);
+  return (text, field) => {
+    if (typeof text !== 'string') return text;
+    if (field) return whole.test(text.trim()) ? '' : text;
+    return steps.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+  };
+};
+
+const createPostAssets = (config) => {
+  const postsRoot = config.paths.posts;
+
+  const postFolders = async () => {
+    try {
+      const entries = await fsp.readdir(postsRoot, { withFileTypes: true });
+      return entries.filter(entry => entry.isDirectory()).map(entry => entry.name).sort();
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  };
+
+  const walk = async (dir, prefix = '') => {
+    const files = [];
+    for (const entry of await fsp.readdir(dir, { withFileTypes: true })) {
+      if (entry.name.startsWith('.')) continue;
+      const file = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        files.push(...await walk(path.join(dir, entry.name), file));
+      } else if (entry.isFile() && file !== 'index.md') {
+        const stat = await fsp.stat(path.join(dir, entry.name));
+        files.push({ file, size: stat.size, modified: stat.mtime.toISOString() });
+      }
+    }
+    return files;
+  };
+
+  // Where every post links or embeds each asset, keyed by `<folder>/<file>`; entries are `{ folder, field }`.
+  // Posts whose front matter does not parse are skipped and reported in `unreadable`, as in the link scans.
+  const collectReferences = async () => {
+    const references = new Map();
+    const unreadable = [];
+    for (const folder of await postFolders()) {
+      let raw;
+      try {
+        raw = await fsp.readFile(path.join(postsRoot, folder, 'index.md'), 'utf8');
+      } catch (err) {
+        if (err.code === 'ENOENT') continue;
+        throw err;
+      }
+      let data;
+      try {
+        data = fm.parse(raw);
+      } catch (err) {
+        unreadable.push({ folder, error: err.message });
+        continue;
+      }
+      const sources = [['content', extractUrls(data._content || '').map(link => link.url)]];
+      REFERENCE_FIELDS.forEach(field => {
+        if (typeof data[field] === 'string' && data[field]) sources.push([field, [data[field]]]);
+      });
+      for (const [field, urls] of sources) {
+        for (const url of urls) {
+          const target = assetTarget(url, folder);
+          if (!target) continue;
+          const key = `${target.folder}/${target.file}`;
+          const list = references.get(key) || [];
+          if (!list.some(entry => entry.folder === folder && entry.field === field)) list.push({ folder, field });
+          references.set(key, list);
+        }
+      }
+    }
+    return { references, unreadable };
+  };
+
+  // Files of a post folder with image variants folded into their original.
+  const assetsOf = async (folder, references) => {
+    let files;
+    try {
+      files = await walk(path.join(postsRoot, folder));
+    } catch (err) {
+      if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return [];
+      throw err;
+    }
+    const names = new Set(files.map(entry => entry.file));
+    const originalOf = file => {
+      const match = VARIANT.exec(file);
+      return match && names.has(`${match[1]}${match[2]}`) ? `${match[1]}${match[2]}` : null;
+    };
+    const assets = new Map();
+    files.filter(entry => !originalOf(entry.file)).forEach(entry => assets.set(entry.file, { ...entry, variants: [] }));
+    files.filter(entry => originalOf(entry.file)).forEach(entry => {
+      const original = assets.get(originalOf(entry.file));
+      if (original) original.variants.push(entry);
+      else assets.set(entry.file, { ...entry, variants: [] });
+    });
+
+    return Array.from(assets.values()).map(asset => {
+      const members = [asset, ...asset.variants];
+      const used = [];
+      members.forEach(member => (references.get(`${folder}/${member.file}`) || []).forEach(entry => {
+        if (!used.some(other => other.folder === entry.folder && other.field === entry.field)) used.push(entry);
+      }));
+      return {
+        file: asset.file,
+        path: assetUrl(folder, asset.file),
+        type: typeOf(asset.file),
+        mime: mimeOf(asset.file),
+        size: asset.size,
+        totalSize: members.reduce((sum, member) => sum + member.size, 0),
+        modified: asset.modified,
+        variants: asset.variants.map(variant => variant.file).sort(),
+        references: used
+      };
+    }).sort((left, right) => left.file.localeCompare(right.file));
+  };
+
+  const listAssets = async folder => {
+    const { references, unreadable } = await collectReferences();
+    return { assets: await assetsOf(folder, references), unreadable };
+  };
+
+  // A resized copy is managed through its original, since the gallery markup uses them together.
+  const findAsset = async (folder, file) => {
+    const { assets } = await listAssets(folder);
+    const asset = assets.find(entry => entry.file === file);
+    if (asset) return asset;
+    const original = assets.find(entry => entry.variants.includes(file));
+    if (original) throw httpError(400, `${file} is a resized copy of ${original.file}; use ${original.file} instead`, 'asset_variant', { original: original.file });
+    throw assetNotFound();
+  };
+
+  // Assets in every post folder that no post body, `cover` or `top_img` references.
+  const findOrphans = async () => {
+    const { references, unreadable } = await collectReferences();
+    const folders = await postFolders();
+    const orphans = [];
+    for (const folder of folders) {
+      (await assetsOf(folder, references)).filter(asset => !asset.references.length).forEach(({ references: unused, ...asset }) => {
+        orphans.push({ folder, ...asset });
+      });
+    }
+    return { scanned: folders.length, total: orphans.length, totalSize: orphans.reduce((sum, asset) => sum + asset.totalSize, 0), orphans, unreadable };
+  };
+
+  // Deletes an asset and its variants; resolves with the removed file paths.
+  const removeAsset = async (folder, asset) => {
+    const files = [asset.file, ...asset.variants];
+    for (const file of files) {
+      await fsp.rm(path.join(postsRoot, folder, file), { force: true });
+    }
+    return files;
+  };
+
+  // `name` is a new file name in the same directory; the extension may be left out but not changed.
+  const targetFile = (asset, name) => {
+    const next = String(name).trim();
+    if (!next || next.includes('/') || next.includes('\\') || next.startsWith('.') || next === 'index.md') {
+      throw validationError([{ path: 'body.name', code: 'invalid', message: 'must be a file name without a directory' }]);
+    }
+    const ext = path.extname(asset.file);
+    const file = path.extname(next) ? next : `${next}${ext}`;
+    if (path.extname(file).toLowerCase() !== ext.toLowerCase()) {
+      throw validationError([{ path: 'body.name', code: 'extension', message: `must keep the ${ext} extension` }]);
+    }
+    const dir = path.posix.dirname(asset.file);
+    return dir === '.' ? file : `${dir}/${file}`;
+  };
+
+  // Renames an asset and its variants; resolves with `[from, to]` pairs, the original first.
+  const renameAsset = async (folder, asset, name) => {
+    const next = targetFile(asset, name);
+    if (next === asset.file) throw httpError(400, 'The asset already has that name', 'bad_request');
+    const oldBase = asset.file.slice(0, -path.extname(asset.file).length);
+    const newBase = next.slice(0, -path.extname(next).length);
+    const renames = [[asset.file, next], ...asset.variants.map(variant => [variant, `${newBase}${variant.slice(oldBase.length)}`])];
+    const taken = renames.find(([, to]) => fs.existsSync(path.join(postsRoot, folder, to)));
+    if (taken) throw httpError(409, `${taken[1]} already exists`, 'asset_exists');
+    for (const [from, to] of renames) {
+      await fsp.rename(path.join(postsRoot, folder, from), path.join(postsRoot, folder, to));
+    }
+    return renames;
+  };
+
+  return {
+    listAssets,
+    findAsset,
+    findOrphans,
+    removeAsset,
+    renameAsset
+  };
+};
+
+module.exports = {
+  REFERENCE_FIELDS,
+  assetUrl,
+  assetRewriter,
+  assetRemover,
+  createPostAssets
+};
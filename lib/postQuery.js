@@ -0,0 +1,118 @@
+'use strict';
+
+const SORT_FIELDS = ['date', 'title', 'slug', 'folder', 'updated', 'publishAt'];
+const STATES = ['draft', 'scheduled', 'published'];
+const MAX_LIMIT = 500;
+
+const badRequest = message => Object.assign(new Error(message), { status: 400 });
+
+const parseBoolean = (value, name) => {
+  if (value === null || value === '') return undefined;
+  if (['1', 'true', 'yes'].includes(value)) return true;
+  if (['0', 'false', 'no'].includes(value)) return false;
+  throw badRequest(`${name} must be true or false`);
+};
+
+const parseTime = (value, name, endOfDay = false) => {
+  if (!value) return undefined;
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) throw badRequest(`${name} must be a date`);
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 86400000 - 1 : time;
+};
+
+const parseInteger = (value, name, min) => {
+  if (value === null || value === '') return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) throw badRequest(`${name} must be an integer >= ${min}`);
+  return number;
+};
+
+const encodeCursor = values => Buffer.from(JSON.stringify(values)).toString('base64url');
+
+const decodeCursor = cursor => {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (Array.isArray(values) && values.length === 2) return values;
+  } catch {
+    // fall through
+  }
+  throw badRequest('Invalid cursor');
+};
+
+const parseQuery = searchParams => {
+  const sort = searchParams.get('sort') || 'date';
+  if (!SORT_FIELDS.includes(sort)) throw badRequest(`sort must be one of ${SORT_FIELDS.join(', ')}`);
+  const defaultOrder = ['date', 'updated', 'publishAt'].includes(sort) ? 'desc' : 'asc';
+  const order = (searchParams.get('order') || defaultOrder).toLowerCase();
+  if (!['asc', 'desc'].includes(order)) throw badRequest('order must be asc or desc');
+  const limit = parseInteger(searchParams.get('limit'), 'limit', 1);
+  const state = searchParams.get('state') || undefined;
+  if (state && !STATES.includes(state)) throw badRequest(`state must be one of ${STATES.join(', ')}`);
+  const query = {
+    tags: searchParams.getAll('tag').map(tag => tag.trim()).filter(Boolean),
+    from: parseTime(searchParams.get('from'), 'from'),
+    to: parseTime(searchParams.get('to'), 'to', true),
+    draft: parseBoolean(searchParams.get('draft'), 'draft'),
+    state,
+    titlePrefix: (searchParams.get('titlePrefix') || '').toLowerCase(),
+    sort,
+    order,
+    limit: limit === undefined ? undefined : Math.min(limit, MAX_LIMIT),
+    offset: parseInteger(searchParams.get('offset'), 'offset', 0) || 0,
+    cursor: searchParams.get('cursor') ? decodeCursor(searchParams.get('cursor')) : null
+  };
+  if (query.cursor && searchParams.get('offset')) throw badRequest('Use either cursor or offset, not both');
+  return query;
+};
+
+const sortValue = (post, field) => {
+  if (['date', 'updated', 'publishAt'].includes(field)) return new Date(post[field]).getTime() || 0;
+  return (post[field] || '').toString().toLowerCase();
+};
+
+const compareKeys = ([leftValue, leftFolder], [rightValue, rightFolder], order) => {
+  const direction = order === 'asc' ? 1 : -1;
+  if (leftValue < rightValue) return -direction;
+  if (leftValue > rightValue) return direction;
+  return leftFolder < rightFolder ? -1 : leftFolder > rightFolder ? 1 : 0;
+};
+
+const sortKey = (post, field) => [sortValue(post, field), post.folder];
+
+const matches = (post, query) => {
+  if (query.tags.length && !query.tags.every(tag => post.tags.includes(tag))) return false;
+  const time = new Date(post.date).getTime();
+  if (query.from !== undefined && !(time >= query.from)) return false;
+  if (query.to !== undefined && !(time <= query.to)) return false;
+  if (query.draft !== undefined && post.draft !== query.draft) return false;
+  if (query.state && post.state !== query.state) return false;
+  if (query.titlePrefix && !(post.title || '').toString().toLowerCase().startsWith(query.titlePrefix)) return false;
+  return true;
+};
+
+const queryPosts = (posts, query) => {
+  const filtered = posts
+    .filter(post => matches(post, query))
+    .sort((a, b) => compareKeys(sortKey(a, query.sort), sortKey(b, query.sort), query.order));
+  let start = query.offset;
+  if (query.cursor) {
+    start = filtered.findIndex(post => compareKeys(sortKey(post, query.sort), query.cursor, query.order) > 0);
+    if (start === -1) start = filtered.length;
+  }
+  const end = query.limit === undefined ? filtered.length : start + query.limit;
+  const page = filtered.slice(start, end);
+  const last = page[page.length - 1];
+  return {
+    posts: page,
+    total: filtered.length,
+    offset: start,
+    limit: query.limit === undefined ? null : query.limit,
+    nextCursor: end < filtered.length && last ? encodeCursor(sortKey(last, query.sort)) : null
+  };
+};
+
+module.exports = {
+  SORT_FIELDS,
+  parseQuery,
+  queryPosts
+};
@@ -0,0 +1,157 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const fsp = fs.promises;
+const { isLocalTarget } = require('./links');
+
+// Nunjucks' own tags, which Hexo renders along with the registered tag plugins.
+const NUNJUCKS_TAGS = ['raw', 'verbatim', 'if', 'elif', 'elseif', 'else', 'for', 'set', 'macro', 'call', 'filter', 'block'];
+
+const TAG = /\{%-?\s*([A-Za-z_][\w-]*)[\s\S]*?-?%\}/g;
+const FENCE = /^ {0,3}(`{3,}|~{3,})[\s\S]*?^ {0,3}\1[`~]*[ \t]*$/gm;
+const INLINE_CODE = /`[^`\n]+`/g;
+const RAW_BLOCK = /\{%-?\s*(raw|verbatim)\s*-?%\}[\s\S]*?\{%-?\s*end\1\s*-?%\}/g;
+const URL_ATTR = /(\s(?:src|href|poster|data)=")([^"]*)(")/g;
+const SRCSET_ATTR = /(\ssrcset=")([^"]*)(")/g;
+const CODE_HTML = /<pre[\s\S]*?<\/pre>|<code[\s\S]*?<\/code>/g;
+
+const httpError = (status, message, code) => Object.assign(new Error(message), { status, body: { code } });
+
+// Blanks matches out while keeping offsets and line numbers, so whatever is found in the rest maps back to the source.
+const mask = (text, patterns) => patterns.reduce((masked, pattern) => masked.replace(pattern, match => match.replace(/[^\n]/g, ' ')), text);
+
+const lineAt = (text, index) => text.slice(0, index).split('\n').length;
+
+// Tag plugins Hexo has no handler for; Hexo would fail the whole render on the first one.
+// Like Hexo, tags in fenced code and raw blocks are left alone, but not those in inline code.
+const findUnknownTags = (content, known) => {
+  const masked = mask(content, [FENCE, RAW_BLOCK]);
+  const found = [];
+  let match;
+  while ((match = TAG.exec(masked))) {
+    const name = match[1];
+    const base = name.startsWith('end') ? name.slice(3) : name;
+    if (known.has(name) || known.has(base) || NUNJUCKS_TAGS.includes(base)) continue;
+    found.push({ name, index: match.index, length: match[0].length, line: lineAt(masked, match.index) });
+  }
+  return found;
+};
+
+// Wraps unknown tags in `{% raw %}` so the preview shows them as written instead of failing.
+const escapeTags = (content, tags) => tags.reduceRight((text, tag) => {
+  const source = text.slice(tag.index, tag.index + tag.length);
+  return `${text.slice(0, tag.index)}{% raw %}${source}{% endraw %}${text.slice(tag.index + tag.length)}`;
+}, content);
+
+const mapUrls = (html, map) => html
+  .replace(URL_ATTR, (match, before, url, after) => `${before}${map(url)}${after}`)
+  .replace(SRCSET_ATTR, (match, before, list, after) => {
+    const entries = list.split(',').map(entry => entry.trim().split(/\s+/)).map(([url, ...rest]) => [map(url), ...rest].join(' '));
+    return `${before}${entries.join(', ')}${after}`;
+  });
+
+const createPreview = (config, { linkGraph }) => {
+  const postsRoot = config.paths.posts;
+  const ASSET_BASE_URL = (config.preview.assetBaseUrl || '').replace(/\/+$/, '');
+
+  let current = null;
+
+  // Tags like `post_link` look posts up in Hexo's database, so the site is loaded again once posts are added, renamed or removed.
+  const postsKey = async () => {
+    try {
+      return (await fsp.readdir(postsRoot)).sort().join('\n');
+    } catch (err) {
+      if (err.code === 'ENOENT') return '';
+      throw err;
+    }
+  };
+
+  const loadHexo = async () => {
+    let Hexo;
+    try {
+      Hexo = require(require.resolve('hexo', { paths: [config.root] }));
+    } catch {
+      throw httpError(503, `Hexo is not installed in ${config.root}; run npm install there`, 'renderer_unavailable');
+    }
+    const hexo = new Hexo(config.root, { silent: true });
+    await hexo.init();
+    await hexo.load();
+    return hexo;
+  };
+
+  const exit = entry => entry.ready.then(hexo => hexo.exit()).catch(() => {});
+
+  const getHexo = async () => {
+    const key = await postsKey();
+    if (!current || current.key !== key) {
+      if (current) exit(current);
+      const entry = { key, ready: loadHexo() };
+      entry.ready.catch(() => {
+        if (current === entry) current = null;
+      });
+      current = entry;
+    }
+    return current.ready;
+  };
+
+  const tagNames = hexo => {
+    const { extensions } = hexo.extend.tag.env;
+    return new Set(Object.values(extensions).flatMap(extension => extension.tags || []));
+  };
+
+  // Post-relative paths (`photo.png`, `archives/page.html`) become `/posts/<folder>/...`, as the upload endpoints write them.
+  const resolveUrl = (url, folder) => (folder && url && isLocalTarget(url) ? `/posts/${folder}/${url.replace(/^\.\//, '')}` : url);
+
+  const withAssetBase = url => (ASSET_BASE_URL && url.startsWith('/posts/') ? `${ASSET_BASE_URL}${url}` : url);
+
+  /**
+   * Renders a post body with the site's Hexo renderer, filters and tag plugins.
+   * `folder` (optional for unsaved posts) resolves post-relative asset paths. Resolves with
+   * `{ html, excerpt, warnings }`, where warnings report unknown tag plugins and unresolved links.
+   */
+  const render = async ({ content, meta = {}, folder = null }) => {
+    const hexo = await getHexo();
+    const warnings = [];
+
+    const unknown = findUnknownTags(content, tagNames(hexo));
+    unknown.forEach(tag => warnings.push({ type: 'unknown_tag', tag: tag.name, line: tag.line, message: `Unknown tag plugin "${tag.name}"` }));
+
+    let data;
+    try {
+      data = await hexo.post.render(folder ? path.join(postsRoot, folder, 'index.md') : null, {
+        ...meta,
+        content: escapeTags(content, unknown),
+        engine: 'md'
+      });
+    } catch (err) {
+      throw httpError(422, `Render failed: ${err.message}`, 'render_failed');
+    }
+
+    const html = mapUrls(data.content, url => resolveUrl(url, folder));
+    const links = await linkGraph.checkLinks(`${mask(content, [FENCE, INLINE_CODE])}\n${html.replace(CODE_HTML, '')}`);
+    links.filter(link => !link.resolved).forEach(link => {
+      warnings.push({ type: 'unresolved_link', linkType: link.type, url: link.url, text: link.text, message: `Link target not found: ${link.url}` });
+    });
+
+    return {
+      html: mapUrls(html, withAssetBase),
+      excerpt: data.excerpt ? mapUrls(mapUrls(data.excerpt, url => resolveUrl(url, folder)), withAssetBase) : null,
+      warnings
+    };
+  };
+
+  const close = () => {
+    if (current) exit(current);
+    current = null;
+  };
+
+  return {
+    render,
+    close
+  };
+};
+
+module.exports = {
+  createPreview
+};
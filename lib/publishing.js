@@ -0,0 +1,47 @@
+'use strict';
+
+const STATES = ['draft', 'scheduled', 'published'];
+
+const badRequest = message => Object.assign(new Error(message), { status: 400 });
+
+const toIso = value => {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) throw badRequest('publishAt must be a valid date');
+  return date.toISOString();
+};
+
+// Hexo only understands `published: false`; `publishAt` marks a draft as scheduled.
+const getState = meta => {
+  if (meta.published !== false) return 'published';
+  return meta.publishAt ? 'scheduled' : 'draft';
+};
+
+const applyState = (meta, state, publishAt) => {
+  if (!STATES.includes(state)) throw badRequest(`state must be one of ${STATES.join(', ')}`);
+  const next = { ...meta };
+  delete next.publishAt;
+  if (state === 'published') {
+    delete next.published;
+    return next;
+  }
+  next.published = false;
+  if (state === 'scheduled') next.publishAt = toIso(publishAt);
+  return next;
+};
+
+// Reads optional `state` / `publishAt` from a create or update body; publishAt alone implies scheduling.
+const stateFromBody = body => {
+  if (body.publishAt) return { state: body.state || 'scheduled', publishAt: body.publishAt };
+  if (body.state) return { state: body.state };
+  return null;
+};
+
+const isDue = (meta, now = Date.now()) => getState(meta) === 'scheduled' && new Date(meta.publishAt).getTime() <= now;
+
+module.exports = {
+  STATES,
+  getState,
+  applyState,
+  stateFromBody,
+  isDue
+};
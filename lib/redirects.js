@@ -0,0 +1,68 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const fsp = fs.promises;
+
+const createRedirects = (config) => {
+  const storePath = config.paths.redirects;
+
+  let cache = null;
+  let queue = Promise.resolve();
+
+  const readStore = async () => {
+    if (cache) return cache;
+    try {
+      const json = JSON.parse(await fsp.readFile(storePath, 'utf8') || '{}');
+      cache = Array.isArray(json.redirects) ? json.redirects : [];
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      cache = [];
+    }
+    return cache;
+  };
+
+  const writeStore = async (redirects) => {
+    await fsp.mkdir(path.dirname(storePath), { recursive: true });
+    await fsp.writeFile(storePath, JSON.stringify({ redirects }, null, 2));
+    cache = redirects;
+  };
+
+  // Store updates run one at a time so concurrent renames cannot drop each other's entries.
+  const enqueue = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  // Chains are collapsed (A -> B then B -> C leaves A -> C and B -> C) and a path that is live again stops redirecting.
+  const addRedirect = (from, to, folder) => enqueue(async () => {
+    const redirects = (await readStore())
+      .filter(entry => entry.from !== from && entry.from !== to)
+      .map(entry => (entry.to === from ? { ...entry, to, folder } : entry));
+    redirects.push({ from, to, folder, createdAt: new Date().toISOString() });
+    await writeStore(redirects);
+    return redirects;
+  });
+
+  const replaceRedirects = (entries) => enqueue(async () => {
+    const redirects = (entries || []).filter(entry => entry && typeof entry.from === 'string' && typeof entry.to === 'string');
+    await writeStore(redirects);
+    return redirects;
+  });
+
+  const listRedirects = async () => {
+    await queue;
+    return (await readStore()).slice();
+  };
+
+  return {
+    addRedirect,
+    replaceRedirects,
+    listRedirects
+  };
+};
+
+module.exports = {
+  createRedirects
+};
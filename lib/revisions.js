@@ -0,0 +1,272 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const fsp = fs.promises;
+const crypto = require('crypto');
+const fm = require('hexo-front-matter');
+
+const CURRENT = 'current';
+
+const ensureDir = async dir => {
+  await fsp.mkdir(dir, { recursive: true });
+};
+
+const notFound = message => Object.assign(new Error(message), { status: 404 });
+
+const isSafeId = id => /^[0-9]+-[0-9a-f]+$/.test(id || '');
+
+const newId = () => `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+
+const parseRaw = raw => {
+  const data = fm.parse(raw);
+  const content = data._content || '';
+  delete data._content;
+  return { meta: data, content };
+};
+
+const summarize = revision => ({
+  id: revision.id,
+  createdAt: revision.createdAt,
+  reason: revision.reason,
+  title: revision.meta.title || null,
+  size: Buffer.byteLength(revision.content || '')
+});
+
+// Past this many differing lines (after the common prefix/suffix) a diff is refused rather than computed.
+const DIFF_MAX_LINES = 10000;
+
+// Finds the middle snake of a[aLo, aHi) against b[bLo, bHi): the forward and reverse D-paths
+// are extended one step at a time until they overlap. Returns the snake's start and end
+// (relative to aLo/bLo) and the length of the shortest edit script.
+const middleSnake = (a, aLo, aHi, b, bLo, bHi) => {
+  const n = aHi - aLo;
+  const m = bHi - bLo;
+  const delta = n - m;
+  const odd = (delta & 1) === 1;
+  const limit = Math.ceil((n + m) / 2);
+  const offset = limit + 1;
+  const forward = new Int32Array(2 * offset + 1);
+  const reverse = new Int32Array(2 * offset + 1);
+  for (let d = 0; d <= limit; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1]) ? forward[offset + k + 1] : forward[offset + k - 1] + 1;
+      let y = x - k;
+      const x0 = x;
+      const y0 = y;
+      while (x < n && y < m && a[aLo + x] === b[bLo + y]) {
+        x++;
+        y++;
+      }
+      forward[offset + k] = x;
+      const c = delta - k;
+      if (odd && c >= -(d - 1) && c <= d - 1 && x + reverse[offset + c] >= n) return { x0, y0, x1: x, y1: y, d: 2 * d - 1 };
+    }
+    for (let c = -d; c <= d; c += 2) {
+      let u = c === -d || (c !== d && reverse[offset + c - 1] < reverse[offset + c + 1]) ? reverse[offset + c + 1] : reverse[offset + c - 1] + 1;
+      let v = u - c;
+      const u0 = u;
+      const v0 = v;
+      while (u < n && v < m && a[aHi - u - 1] === b[bHi - v - 1]) {
+        u++;
+        v++;
+      }
+      reverse[offset + c] = u;
+      const k = delta - c;
+      if (!odd && k >= -d && k <= d && u + forward[offset + k] >= n) return { x0: n - u, y0: m - v, x1: n - u0, y1: m - v0, d: 2 * d };
+    }
+  }
+  throw new Error('Unreachable: no middle snake');
+};
+
+// Line diff with Myers' algorithm in linear space (divide and conquer on the middle snake),
+// so memory stays proportional to the line count however different the versions are.
+const diffLines = (before, after) => {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  const ops = [];
+
+  const same = (from, to) => a.slice(from, to).forEach(text => ops.push({ op: ' ', text }));
+
+  const walk = (aLo, aHi, bLo, bHi) => {
+    const aStart = aLo;
+    const aEnd = aHi;
+    while (aLo < aHi && bLo < bHi && a[aLo] === b[bLo]) {
+      aLo++;
+      bLo++;
+    }
+    while (aHi > aLo && bHi > bLo && a[aHi - 1] === b[bHi - 1]) {
+      aHi--;
+      bHi--;
+    }
+    same(aStart, aLo);
+    if (aLo === aHi) {
+      b.slice(bLo, bHi).forEach(text => ops.push({ op: '+', text }));
+    } else if (bLo === bHi) {
+      a.slice(aLo, aHi).forEach(text => ops.push({ op: '-', text }));
+    } else {
+      const snake = middleSnake(a, aLo, aHi, b, bLo, bHi);
+      walk(aLo, aLo + snake.x0, bLo, bLo + snake.y0);
+      same(aLo + snake.x0, aLo + snake.x1);
+      walk(aLo + snake.x1, aHi, bLo + snake.y1, bHi);
+    }
+    same(aHi, aEnd);
+  };
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+  const changed = endA - start + endB - start;
+  if (changed > DIFF_MAX_LINES) {
+    throw Object.assign(new Error(`Too large to diff: ${changed} differing lines (limit ${DIFF_MAX_LINES})`), { status: 413, body: { code: 'diff_too_large', lines: changed, limit: DIFF_MAX_LINES } });
+  }
+  walk(0, a.length, 0, b.length);
+  return ops;
+};
+
+const toUnified = (ops, context = 3) => {
+  const visible = new Set();
+  ops.forEach((entry, index) => {
+    if (entry.op === ' ') return;
+    for (let k = Math.max(0, index - context); k <= Math.min(ops.length - 1, index + context); k++) visible.add(k);
+  });
+  const lines = [];
+  let previous = -2;
+  Array.from(visible).sort((x, y) => x - y).forEach(index => {
+    if (index !== previous + 1) lines.push('@@');
+    lines.push(`${ops[index].op}${ops[index].text}`);
+    previous = index;
+  });
+  return lines.join('\n');
+};
+
+const diffMeta = (before, after) => {
+  const keys = Array.from(new Set([...Object.keys(before), ...Object.keys(after)])).sort();
+  return keys
+    .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+    .map(key => ({ key, from: before[key] === undefined ? null : before[key], to: after[key] === undefined ? null : after[key] }));
+};
+
+const createRevisions = (config) => {
+  const postsRoot = config.paths.posts;
+  const revisionsRoot = config.paths.revisions;
+  const REVISION_LIMIT = config.revisions.limit;
+
+  const revisionDir = folder => path.join(revisionsRoot, folder);
+
+  const revisionFile = (folder, id) => path.join(revisionDir(folder), `${id}.json`);
+
+  const listIds = async folder => {
+    try {
+      const entries = await fsp.readdir(revisionDir(folder));
+      return entries.filter(name => name.endsWith('.json')).map(name => name.slice(0, -5)).sort();
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  };
+
+  const prune = async folder => {
+    if (!(REVISION_LIMIT > 0)) return;
+    const ids = await listIds(folder);
+    const stale = ids.slice(0, Math.max(0, ids.length - REVISION_LIMIT));
+    for (const id of stale) {
+      await fsp.rm(revisionFile(folder, id), { force: true });
+    }
+  };
+
+  const snapshot = async (folder, raw, reason = 'update') => {
+    if (!raw) return null;
+    const { meta, content } = parseRaw(raw);
+    const revision = {
+      id: newId(),
+      folder,
+      createdAt: new Date().toISOString(),
+      reason,
+      meta,
+      content
+    };
+    await ensureDir(revisionDir(folder));
+    await fsp.writeFile(revisionFile(folder, revision.id), JSON.stringify(revision, null, 2));
+    await prune(folder);
+    return revision.id;
+  };
+
+  const getRevision = async (folder, id) => {
+    if (!isSafeId(id)) throw notFound('Revision not found');
+    try {
+      return JSON.parse(await fsp.readFile(revisionFile(folder, id), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') throw notFound('Revision not found');
+      throw err;
+    }
+  };
+
+  const listRevisions = async folder => {
+    const ids = await listIds(folder);
+    const results = [];
+    for (const id of ids.reverse()) {
+      results.push(summarize(await getRevision(folder, id)));
+    }
+    return results;
+  };
+
+  const loadCurrent = async folder => {
+    try {
+      const raw = await fsp.readFile(path.join(postsRoot, folder, 'index.md'), 'utf8');
+      return { id: CURRENT, ...parseRaw(raw) };
+    } catch (err) {
+      if (err.code === 'ENOENT') throw notFound('Post not found');
+      throw err;
+    }
+  };
+
+  const resolveRevision = (folder, id) => (id === CURRENT ? loadCurrent(folder) : getRevision(folder, id));
+
+  const diffRevisions = async (folder, fromId, toId = CURRENT) => {
+    const from = await resolveRevision(folder, fromId);
+    const to = await resolveRevision(folder, toId);
+    const ops = diffLines(from.content || '', to.content || '');
+    return {
+      from: from.id,
+      to: to.id,
+      meta: diffMeta(from.meta, to.meta),
+      added: ops.filter(entry => entry.op === '+').length,
+      removed: ops.filter(entry => entry.op === '-').length,
+      patch: toUnified(ops)
+    };
+  };
+
+  const moveRevisions = async (currentFolder, nextFolder) => {
+    const source = revisionDir(currentFolder);
+    if (!fs.existsSync(source)) return;
+    const target = revisionDir(nextFolder);
+    await fsp.rm(target, { recursive: true, force: true });
+    await ensureDir(revisionsRoot);
+    await fsp.rename(source, target);
+    for (const id of await listIds(nextFolder)) {
+      const revision = await getRevision(nextFolder, id);
+      revision.folder = nextFolder;
+      await fsp.writeFile(revisionFile(nextFolder, id), JSON.stringify(revision, null, 2));
+    }
+  };
+
+  return {
+    revisionDir,
+    snapshot,
+    listRevisions,
+    getRevision,
+    diffRevisions,
+    moveRevisions
+  };
+};
+
+module.exports = {
+  CURRENT,
+  createRevisions
+};
@@ -0,0 +1,157 @@
+'use strict';
+
+const FIELD_WEIGHTS = { title: 10, tags: 6, meta: 3, body: 1 };
+const SNIPPET_RADIUS = 60;
+
+const normalize = value => (value || '').toString().toLowerCase();
+
+const stripMarkdown = text => (text || '')
+  .replace(/<[^>]+>/g, ' ')
+  .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+  .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g, (match, target, alias) => alias || target)
+  .replace(/[`*_>#~]+/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const metaText = meta => Object.entries(meta || {})
+  .filter(([key]) => !['title', 'tags', 'slug', 'date'].includes(key))
+  .map(([, value]) => (typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value)))
+  .join(' ');
+
+const tokenize = query => {
+  const terms = [];
+  const regex = /"([^"]+)"|(\S+)/g;
+  let match;
+  while ((match = regex.exec(query || ''))) {
+    const term = normalize(match[1] || match[2]).trim();
+    if (term && !terms.includes(term)) terms.push(term);
+  }
+  return terms;
+};
+
+const countOccurrences = (haystack, needle) => {
+  let count = 0;
+  let index = haystack.indexOf(needle);
+  while (index !== -1) {
+    count++;
+    index = haystack.indexOf(needle, index + needle.length);
+  }
+  return count;
+};
+
+const escapeHtml = text => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const highlight = (text, terms) => {
+  const pattern = new RegExp(terms.map(escapeRegExp).join('|'), 'gi');
+  let output = '';
+  let last = 0;
+  let match;
+  while ((match = pattern.exec(text))) {
+    output += `${escapeHtml(text.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  return output + escapeHtml(text.slice(last));
+};
+
+const buildSnippet = (doc, terms) => {
+  const lower = doc.lower.body;
+  const positions = terms.map(term => lower.indexOf(term)).filter(index => index !== -1);
+  if (!positions.length) return highlight(doc.body.slice(0, SNIPPET_RADIUS * 2), terms);
+  const first = Math.min(...positions);
+  const start = Math.max(0, first - SNIPPET_RADIUS);
+  const end = Math.min(doc.body.length, first + SNIPPET_RADIUS);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < doc.body.length ? '…' : '';
+  return `${prefix}${highlight(doc.body.slice(start, end), terms)}${suffix}`;
+};
+
+const createSearchIndex = () => {
+  const docs = new Map();
+  let built = false;
+
+  const indexPost = (folder, meta, content) => {
+    const tags = Array.isArray(meta.tags) ? meta.tags : [];
+    const doc = {
+      folder,
+      title: meta.title || folder,
+      slug: meta.slug || null,
+      date: meta.date || null,
+      tags,
+      body: stripMarkdown(content),
+      meta: metaText(meta)
+    };
+    doc.lower = {
+      title: normalize(doc.title),
+      tags: normalize(tags.join(' ')),
+      meta: normalize(doc.meta),
+      body: normalize(doc.body)
+    };
+    docs.set(folder, doc);
+  };
+
+  const removePost = folder => {
+    docs.delete(folder);
+  };
+
+  const isBuilt = () => built;
+
+  const rebuild = entries => {
+    docs.clear();
+    entries.forEach(({ folder, meta, content }) => indexPost(folder, meta, content));
+    built = true;
+  };
+
+  const search = (query, { limit = 20 } = {}) => {
+    const terms = tokenize(query);
+    if (!terms.length) return { total: 0, results: [] };
+    const matches = [];
+    for (const doc of docs.values()) {
+      let score = 0;
+      const fields = [];
+      const matchesAll = terms.every(term => {
+        let termScore = 0;
+        Object.keys(FIELD_WEIGHTS).forEach(field => {
+          const hits = countOccurrences(doc.lower[field], term);
+          if (!hits) return;
+          termScore += FIELD_WEIGHTS[field] * Math.min(hits, 5);
+          if (!fields.includes(field)) fields.push(field);
+        });
+        score += termScore;
+        return termScore > 0;
+      });
+      if (!matchesAll) continue;
+      matches.push({
+        folder: doc.folder,
+        title: doc.title,
+        slug: doc.slug,
+        date: doc.date,
+        tags: doc.tags,
+        score,
+        fields,
+        titleHighlight: highlight(doc.title, terms),
+        snippet: buildSnippet(doc, terms)
+      });
+    }
+    matches.sort((a, b) => b.score - a.score || new Date(b.date) - new Date(a.date));
+    return { total: matches.length, results: matches.slice(0, limit) };
+  };
+
+  return {
+    indexPost,
+    removePost,
+    isBuilt,
+    rebuild,
+    search
+  };
+};
+
+module.exports = {
+  createSearchIndex
+};
@@ -4,51 +4,106 @@ const fs = require('fs');
 const fsp = fs.promises;
 const path = require('path');
 
-const storePath = path.join(__dirname, '..', '..', 'tags.json');
 const DEFAULT_TAG = 'uncategorised';
 
-const ensureFile = async () => {
-  try {
-    await fsp.access(storePath);
-  } catch (err) {
-    if (err.code === 'ENOENT') {
-      await fsp.writeFile(storePath, JSON.stringify({ tags: [DEFAULT_TAG] }, null, 2));
-    } else {
-      throw err;
-    }
-  }
-};
+const cleanName = (name) => (name || '').toString().trim();
 
-const readStore = async () => {
-  await ensureFile();
-  const raw = await fsp.readFile(storePath, 'utf8');
-  const json = JSON.parse(raw || '{}');
-  const list = Array.isArray(json.tags) ? json.tags : [];
-  if (!list.includes(DEFAULT_TAG)) list.unshift(DEFAULT_TAG);
-  return Array.from(new Set(list.map(t => t.trim()).filter(Boolean)));
+const assertEditable = (tag) => {
+  if (!tag) throw Object.assign(new Error('Tag name required'), { status: 400 });
+  if (tag === DEFAULT_TAG) throw Object.assign(new Error('The default tag cannot be changed'), { status: 400 });
 };
 
-const writeStore = async (tags) => {
-  await fsp.writeFile(storePath, JSON.stringify({ tags }, null, 2));
-};
+const createTagStore = (config) => {
+  const storePath = config.paths.tags;
 
-const getTags = async () => {
-  return await readStore();
-};
+  const ensureFile = async () => {
+    try {
+      await fsp.access(storePath);
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        await fsp.mkdir(path.dirname(storePath), { recursive: true });
+        await fsp.writeFile(storePath, JSON.stringify({ tags: [DEFAULT_TAG] }, null, 2));
+      } else {
+        throw err;
+      }
+    }
+  };
+
+  const readStore = async () => {
+    await ensureFile();
+    const raw = await fsp.readFile(storePath, 'utf8');
+    const json = JSON.parse(raw || '{}');
+    const list = Array.isArray(json.tags) ? json.tags : [];
+    if (!list.includes(DEFAULT_TAG)) list.unshift(DEFAULT_TAG);
+    return Array.from(new Set(list.map(t => t.trim()).filter(Boolean)));
+  };
+
+  const writeStore = async (tags) => {
+    await fsp.mkdir(path.dirname(storePath), { recursive: true });
+    await fsp.writeFile(storePath, JSON.stringify({ tags }, null, 2));
+  };
+
+  const getTags = async () => {
+    return await readStore();
+  };
 
-const addTag = async (name) => {
-  const tag = (name || '').trim();
-  if (!tag) throw new Error('Tag name required');
-  const tags = await readStore();
-  if (!tags.includes(tag)) {
-    tags.push(tag);
+  const addTag = async (name) => {
+    const tag = (name || '').trim();
+    if (!tag) throw Object.assign(new Error('Tag name required'), { status: 400 });
+    const tags = await readStore();
+    if (!tags.includes(tag)) {
+      tags.push(tag);
+      await writeStore(tags);
+    }
+    return tags;
+  };
+
+  const mergeTags = async (sources, target) => {
+    const to = cleanName(target);
+    if (!to) throw Object.assign(new Error('Target tag required'), { status: 400 });
+    const from = Array.from(new Set((sources || []).map(cleanName).filter(tag => tag && tag !== to)));
+    from.forEach(assertEditable);
+    const tags = (await readStore()).filter(tag => !from.includes(tag));
+    if (!tags.includes(to)) tags.push(to);
     await writeStore(tags);
-  }
-  return tags;
+    return tags;
+  };
+
+  const renameTag = async (name, nextName) => {
+    const tag = cleanName(name);
+    assertEditable(tag);
+    if (!(await readStore()).includes(tag)) {
+      throw Object.assign(new Error(`Tag ${tag} not found`), { status: 404, body: { code: 'tag_not_found' } });
+    }
+    return await mergeTags([tag], nextName);
+  };
+
+  const removeTag = async (name) => {
+    const tag = cleanName(name);
+    assertEditable(tag);
+    const tags = await readStore();
+    const next = tags.filter(t => t !== tag);
+    if (next.length !== tags.length) await writeStore(next);
+    return next;
+  };
+
+  const replaceTags = async (tags) => {
+    const next = Array.from(new Set([DEFAULT_TAG, ...(tags || []).map(cleanName).filter(Boolean)]));
+    await writeStore(next);
+    return next;
+  };
+
+  return {
+    getTags,
+    addTag,
+    renameTag,
+    mergeTags,
+    removeTag,
+    replaceTags
+  };
 };
 
 module.exports = {
   DEFAULT_TAG,
-  getTags,
-  addTag
+  createTagStore
 };
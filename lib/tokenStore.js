@@ -0,0 +1,110 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const fsp = fs.promises;
+const crypto = require('crypto');
+
+const ROLES = ['read-only', 'author', 'publisher', 'admin'];
+const ROLE_SCOPES = {
+  'read-only': ['read'],
+  author: ['read', 'write'],
+  publisher: ['read', 'write', 'publish'],
+  admin: ['read', 'write', 'publish', 'admin']
+};
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest();
+
+const publicView = ({ id, name, role, scopes, createdAt, createdBy, revokedAt }) => ({ id, name, role, scopes, createdAt, createdBy, revokedAt: revokedAt || null });
+
+const resolveScopes = (role, scopes) => {
+  const allowed = ROLE_SCOPES[role];
+  if (!scopes) return allowed.slice();
+  const requested = Array.isArray(scopes) ? scopes : [scopes];
+  const invalid = requested.filter(scope => !allowed.includes(scope));
+  if (invalid.length) {
+    throw Object.assign(new Error(`Scopes not allowed for role ${role}: ${invalid.join(', ')}`), { status: 400 });
+  }
+  return Array.from(new Set(requested));
+};
+
+const createTokenStore = (config) => {
+  const storePath = config.paths.tokens;
+
+  let cache = null;
+
+  const readStore = async () => {
+    if (cache) return cache;
+    try {
+      const json = JSON.parse(await fsp.readFile(storePath, 'utf8') || '{}');
+      cache = Array.isArray(json.tokens) ? json.tokens : [];
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      cache = [];
+    }
+    return cache;
+  };
+
+  const writeStore = async (tokens) => {
+    await fsp.mkdir(path.dirname(storePath), { recursive: true });
+    await fsp.writeFile(storePath, JSON.stringify({ tokens }, null, 2), { mode: 0o600 });
+    cache = tokens;
+  };
+
+  const createToken = async ({ name, role, scopes }, createdBy) => {
+    const label = (name || '').trim();
+    if (!label) throw Object.assign(new Error('Token name required'), { status: 400 });
+    if (!ROLES.includes(role)) throw Object.assign(new Error(`role must be one of ${ROLES.join(', ')}`), { status: 400 });
+    const tokens = await readStore();
+    const secret = `hbt_${crypto.randomBytes(24).toString('base64url')}`;
+    const token = {
+      id: crypto.randomBytes(6).toString('hex'),
+      name: label,
+      role,
+      scopes: resolveScopes(role, scopes),
+      hash: hashSecret(secret).toString('hex'),
+      createdAt: new Date().toISOString(),
+      createdBy: createdBy || null,
+      revokedAt: null
+    };
+    await writeStore([...tokens, token]);
+    return { token: publicView(token), secret };
+  };
+
+  const listTokens = async () => (await readStore()).map(publicView);
+
+  const revokeToken = async (id) => {
+    const tokens = await readStore();
+    const token = tokens.find(entry => entry.id === id);
+    if (!token) throw Object.assign(new Error('Token not found'), { status: 404 });
+    if (!token.revokedAt) {
+      await writeStore(tokens.map(entry => (entry.id === id ? { ...entry, revokedAt: new Date().toISOString() } : entry)));
+    }
+    return publicView((await readStore()).find(entry => entry.id === id));
+  };
+
+  const hasActiveTokens = async () => (await readStore()).some(token => !token.revokedAt);
+
+  const verifyToken = async (secret) => {
+    if (!secret) return null;
+    const digest = hashSecret(secret);
+    const tokens = await readStore();
+    const match = tokens.find(token => !token.revokedAt && crypto.timingSafeEqual(Buffer.from(token.hash, 'hex'), digest));
+    return match ? publicView(match) : null;
+  };
+
+  return {
+    createToken,
+    listTokens,
+    revokeToken,
+    hasActiveTokens,
+    verifyToken
+  };
+};
+
+module.exports = {
+  ROLES,
+  ROLE_SCOPES,
+  hashSecret,
+  createTokenStore
+};
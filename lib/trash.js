@@ -0,0 +1,149 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const fsp = fs.promises;
+const crypto = require('crypto');
+
+const ensureDir = async dir => {
+  await fsp.mkdir(dir, { recursive: true });
+};
+
+const randomId = () => crypto.randomBytes(8).toString('hex');
+
+const isSafeId = id => /^[0-9a-f]+$/.test(id || '');
+
+const readJSON = async file => JSON.parse(await fsp.readFile(file, 'utf8'));
+
+const moveIfExists = async (source, target) => {
+  if (!fs.existsSync(source)) return false;
+  await ensureDir(path.dirname(target));
+  await fsp.rename(source, target);
+  return true;
+};
+
+const createTrash = (config, { revisions }) => {
+  const postsRoot = config.paths.posts;
+  const trashRoot = config.paths.trash;
+  const MAX_AGE_DAYS = config.trash.maxAgeDays;
+
+  const entryPath = id => path.join(trashRoot, id);
+
+  const entryFile = id => path.join(entryPath(id), 'entry.json');
+
+  const getEntry = async id => {
+    if (!isSafeId(id)) throw Object.assign(new Error('Trash entry not found'), { status: 404 });
+    try {
+      return await readJSON(entryFile(id));
+    } catch (err) {
+      if (err.code === 'ENOENT') throw Object.assign(new Error('Trash entry not found'), { status: 404 });
+      throw err;
+    }
+  };
+
+  const moveToTrash = async folder => {
+    const id = randomId();
+    const entry = {
+      id,
+      folder,
+      deletedAt: new Date().toISOString()
+    };
+    await ensureDir(entryPath(id));
+    await fsp.rename(path.join(postsRoot, folder), path.join(entryPath(id), 'post'));
+    entry.hasRevisions = await moveIfExists(revisions.revisionDir(folder), path.join(entryPath(id), 'revisions'));
+    await fsp.writeFile(entryFile(id), JSON.stringify(entry, null, 2));
+    return entry;
+  };
+
+  const listTrash = async () => {
+    let ids;
+    try {
+      ids = await fsp.readdir(trashRoot);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    const entries = [];
+    for (const id of ids) {
+      try {
+        const entry = await getEntry(id);
+        const expiresAt = MAX_AGE_DAYS > 0 ? new Date(new Date(entry.deletedAt).getTime() + MAX_AGE_DAYS * 86400000).toISOString() : null;
+        entries.push({ ...entry, expiresAt });
+      } catch {
+        continue;
+      }
+    }
+    return entries.sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+  };
+
+  // Revisions left under the target folder (e.g. by a post deleted without them) are kept; the
+  // restored ones are moved in beside them. Records each move in `moved` so it can be undone.
+  const restoreRevisions = async (source, target, moved) => {
+    if (!fs.existsSync(source)) return;
+    if (!fs.existsSync(target)) {
+      await ensureDir(path.dirname(target));
+      await fsp.rename(source, target);
+      moved.push([source, target]);
+      return;
+    }
+    for (const name of await fsp.readdir(source)) {
+      await fsp.rename(path.join(source, name), path.join(target, name));
+      moved.push([path.join(source, name), path.join(target, name)]);
+    }
+  };
+
+  const restore = async (id, targetFolder) => {
+    const entry = await getEntry(id);
+    const postSource = path.join(entryPath(id), 'post');
+    const postTarget = path.join(postsRoot, targetFolder);
+    if (fs.existsSync(postTarget)) {
+      throw Object.assign(new Error(`A post already exists at ${targetFolder}`), { status: 409, body: { code: 'folder_conflict' } });
+    }
+    await ensureDir(postsRoot);
+    await fsp.rename(postSource, postTarget);
+    const moved = [];
+    try {
+      await restoreRevisions(path.join(entryPath(id), 'revisions'), revisions.revisionDir(targetFolder), moved);
+    } catch (err) {
+      for (const [source, target] of moved.reverse()) {
+        await fsp.rename(target, source).catch(undoErr => console.error(undoErr));
+      }
+      await fsp.rename(postTarget, postSource);
+      throw err;
+    }
+    await fsp.rm(entryPath(id), { recursive: true, force: true });
+    return { ...entry, restoredAs: targetFolder };
+  };
+
+  const purge = async id => {
+    const entry = await getEntry(id);
+    await fsp.rm(entryPath(id), { recursive: true, force: true });
+    return entry;
+  };
+
+  const purgeExpired = async (maxAgeDays = MAX_AGE_DAYS) => {
+    if (!(maxAgeDays > 0)) return [];
+    const cutoff = Date.now() - maxAgeDays * 86400000;
+    const purged = [];
+    for (const entry of await listTrash()) {
+      if (new Date(entry.deletedAt).getTime() < cutoff) {
+        await fsp.rm(entryPath(entry.id), { recursive: true, force: true });
+        purged.push(entry.id);
+      }
+    }
+    return purged;
+  };
+
+  return {
+    moveToTrash,
+    listTrash,
+    getEntry,
+    restore,
+    purge,
+    purgeExpired
+  };
+};
+
+module.exports = {
+  createTrash
+};
@@ -5,12 +5,21 @@ const fs = require('fs');
 const fsp = fs.promises;
 const crypto = require('crypto');
 const fm = require('hexo-front-matter');
-const { slugize } = require('hexo-util');
 const { DEFAULT_TAG } = require('./tagStore');
-
-const projectRoot = path.resolve(__dirname, '../..');
-const postsRoot = path.join(projectRoot, 'posts');
-const sessionsRoot = path.join(projectRoot, 'uploads', 'sessions');
+const {
+  slugFromTitle,
+  attachmentKey,
+  decodeTarget,
+  isLocalTarget,
+  WIKI_EMBED,
+  MARKDOWN_EMBED,
+  extractEmbeds,
+  extractWikiLinks,
+  extractExternalLinks,
+  permalinkFromFolder
+} = require('./links');
+
+const UID_FIELD = 'uid';
 
 const ensureDir = async dir => {
   await fsp.mkdir(dir, { recursive: true });
@@ -18,8 +27,20 @@ const ensureDir = async dir => {
 
 const randomId = () => crypto.randomBytes(8).toString('hex');
 
+// Stable identity for a post across renames and re-uploads; notes that bring their own keep it.
+const newUid = () => crypto.randomBytes(8).toString('hex');
+
 const archiveIdFromUrl = url => crypto.createHash('md5').update(url).digest('hex').slice(0, 10);
 
+const isSafeId = id => /^[0-9a-f]+$/.test(id || '');
+
+const normalizeTags = tags => {
+  if (!tags) return [DEFAULT_TAG];
+  const list = Array.isArray(tags) ? tags : [tags];
+  const cleaned = Array.from(new Set(list.map(tag => tag && tag.toString().trim()).filter(Boolean)));
+  return cleaned.length ? cleaned : [DEFAULT_TAG];
+};
+
 const baseName = filename => filename.replace(/\.[^.]+$/, '');
 
 const normalizeDate = value => {
@@ -31,12 +52,6 @@ const normalizeDate = value => {
 const formatDate = date => date.toISOString();
 
 const folderFromDateSlug = (dateISO, slug) => `${dateISO.slice(0, 10)}-${slug}`;
-const permalinkFromDateSlug = (dateISO, slug) => {
-  const y = dateISO.slice(0, 4);
-  const m = dateISO.slice(5, 7);
-  const d = dateISO.slice(8, 10);
-  return `/${y}/${m}/${d}/${slug}/`;
-};
 
 const readJSON = async file => JSON.parse(await fsp.readFile(file, 'utf8'));
 
@@ -45,25 +60,16 @@ const writeJSON = async (file, data) => {
   await fsp.writeFile(file, JSON.stringify(data, null, 2));
 };
 
-const buildExistingCache = async () => {
-  const cache = {};
-  try {
-    const folders = await fsp.readdir(postsRoot);
-    folders.forEach(folder => {
-      const parts = folder.split('-');
-      if (parts.length < 2) return;
-      const slug = parts.slice(3).join('-') || parts.slice(2).join('-') || parts.slice(1).join('-') || folder;
-      cache[slug] = folder;
-    });
-  } catch (err) {
-    if (err.code !== 'ENOENT') throw err;
-  }
-  return cache;
-};
-
-const findExistingFolder = (cache, slug) => cache[slug] || null;
+const findExistingFolder = (cache, slug) => cache.slugs[slug] || null;
 
-const slugFromTitle = title => slugize(title || '', { transform: 1 }) || slugize(randomId(), { transform: 1 });
+// A note updates the post carrying the same front matter id, else the post with its slug; otherwise it creates one.
+const resolveTarget = (cache, note) => {
+  const uid = note.meta[UID_FIELD];
+  if (uid && cache.uids[String(uid)]) return { action: 'update', folder: cache.uids[String(uid)], matchedBy: UID_FIELD };
+  const existing = findExistingFolder(cache, note.slug);
+  if (existing) return { action: 'update', folder: existing, matchedBy: 'slug' };
+  return { action: 'create', folder: folderFromDateSlug(note.date, note.slug), matchedBy: null };
+};
 
 const parseMarkdown = (raw, filename) => {
   const data = fm.parse(raw);
@@ -77,66 +83,19 @@ const parseMarkdown = (raw, filename) => {
   return { meta, body };
 };
 
-const extractWikiLinks = body => {
-  const regex = /\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g;
-  const results = [];
-  let match;
-  while ((match = regex.exec(body))) {
-    const targetTitle = match[1].trim();
-    const alias = (match[2] || match[1]).trim();
-    const targetSlug = slugFromTitle(targetTitle);
-    results.push({ targetTitle, alias, targetSlug });
-  }
-  return results;
-};
-
-const extractExternalLinks = body => {
-  const regex = /\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g;
-  const results = [];
-  let match;
-  while ((match = regex.exec(body))) {
-    results.push({ text: match[1], url: match[2] });
-  }
-  return results;
-};
-
-const sessionPath = id => path.join(sessionsRoot, id);
-
-const sessionFile = id => path.join(sessionPath(id), 'session.json');
 
 const defaultSession = id => ({
   id,
   createdAt: new Date().toISOString(),
+  updatedAt: new Date().toISOString(),
   notes: {},
   archives: {},
+  attachments: {},
   pendingNotes: {},
   mainSlug: null
 });
 
-const loadSession = async id => {
-  const file = sessionFile(id);
-  try {
-    return await readJSON(file);
-  } catch (err) {
-    if (err.code === 'ENOENT') throw new Error('Session not found');
-    throw err;
-  }
-};
-
-const saveSession = async session => {
-  await writeJSON(sessionFile(session.id), session);
-};
-
-const createSession = async () => {
-  const id = randomId();
-  await ensureDir(sessionPath(id));
-  await saveSession(defaultSession(id));
-  return { sessionId: id };
-};
-
-const notePath = (sessionId, slug) => path.join(sessionPath(sessionId), 'notes', `${slug}.md`);
-
-const archivePath = (sessionId, archiveId, filename) => path.join(sessionPath(sessionId), 'archives', `${archiveId}-${filename}`);
+const sessionNotFound = () => Object.assign(new Error('Session not found'), { status: 404, body: { code: 'session_not_found' } });
 
 const ensureNoteDependency = (session, existingCache, sourceSlug, depInfo) => {
   if (session.notes[depInfo.targetSlug]) return;
@@ -147,8 +106,10 @@ const ensureNoteDependency = (session, existingCache, sourceSlug, depInfo) => {
   }
 };
 
-const updateNoteDependencies = (session, note, wikiLinks, externalLinks, existingCache) => {
-  note.dependencies = note.dependencies || { notes: {}, archives: {} };
+const updateNoteDependencies = (session, note, wikiLinks, externalLinks, embeds, existingCache) => {
+  note.dependencies = note.dependencies || { notes: {}, archives: {}, attachments: {} };
+  note.dependencies.attachments = note.dependencies.attachments || {};
+  session.attachments = session.attachments || {};
 
   for (const dep of wikiLinks) {
     note.dependencies.notes[dep.targetSlug] = {
@@ -173,92 +134,45 @@ const updateNoteDependencies = (session, note, wikiLinks, externalLinks, existin
     }
     note.dependencies.archives[archiveId] = link.text;
   }
-};
 
-const addNote = async ({ sessionId, filename, content, isMain }) => {
-  if (!filename || !content) throw new Error('Filename and content required');
-  const session = await loadSession(sessionId);
-  const existingCache = await buildExistingCache();
-  const { meta, body } = parseMarkdown(content, filename);
-  const slug = meta.slug;
-  const fileTarget = notePath(sessionId, slug);
-  await ensureDir(path.dirname(fileTarget));
-  await fsp.writeFile(fileTarget, content);
-
-  const wikiLinks = extractWikiLinks(body);
-  const externalLinks = extractExternalLinks(body);
-
-  meta.tags = normalizeTags(meta.tags);
-
-  session.notes[slug] = {
-    slug,
-    title: meta.title,
-    date: meta.date,
-    meta,
-    body,
-    file: fileTarget,
-    isMain: Boolean(isMain),
-    dependencies: { notes: {}, archives: {} }
-  };
-
-  if (isMain) session.mainSlug = slug;
-
-  delete session.pendingNotes[slug];
-  await updateNoteDependencies(session, session.notes[slug], wikiLinks, externalLinks, existingCache);
-
-  await saveSession(session);
-  return await summarizeSession(session);
-};
-
-const addArchive = async ({ sessionId, sourceUrl, filename, data }) => {
-  if (!sourceUrl || !filename || !data) throw new Error('Archive upload requires url, filename and data');
-  const session = await loadSession(sessionId);
-  const archiveId = archiveIdFromUrl(sourceUrl);
-  if (!session.archives[archiveId]) {
-    throw new Error('Archive was not requested');
+  for (const embed of embeds) {
+    session.attachments[embed.key] = session.attachments[embed.key] || {
+      key: embed.key,
+      name: embed.name,
+      kind: embed.kind,
+      resolved: false,
+      filename: null,
+      filePath: null,
+      referencedBy: []
+    };
+    if (!session.attachments[embed.key].referencedBy.includes(note.slug)) {
+      session.attachments[embed.key].referencedBy.push(note.slug);
+    }
+    note.dependencies.attachments[embed.key] = embed.name;
   }
-  const buffer = Buffer.from(data.replace(/^data:[^,]+,/, ''), 'base64');
-  const fileTarget = archivePath(sessionId, archiveId, filename);
-  await ensureDir(path.dirname(fileTarget));
-  await fsp.writeFile(fileTarget, buffer);
-  session.archives[archiveId].resolved = true;
-  session.archives[archiveId].filename = filename;
-  session.archives[archiveId].filePath = fileTarget;
-  await saveSession(session);
-  return await summarizeSession(session);
 };
 
-const summarizeSession = async session => {
-  const existingCache = await buildExistingCache();
-  const pendingNotes = Object.entries(session.pendingNotes).map(([slug, info]) => ({ slug, ...info }));
-  const pendingArchives = Object.values(session.archives).filter(archive => !archive.resolved).map(({ id, url, referencedBy }) => ({ id, url, referencedBy }));
-  const noteSummaries = Object.values(session.notes).map(note => ({
-    slug: note.slug,
-    title: note.title,
-    isMain: note.isMain,
-    missingNotes: Object.keys(note.dependencies.notes).filter(dep => !session.notes[dep] && !findExistingFolder(existingCache, dep)).map(dep => ({ slug: dep, alias: note.dependencies.notes[dep].alias })),
-    missingArchives: Object.keys(note.dependencies.archives).filter(id => !session.archives[id] || !session.archives[id].resolved).map(id => ({ id, text: note.dependencies.archives[id] }))
-  }));
-  const ready = pendingNotes.length === 0 && pendingArchives.length === 0;
-  return {
-    sessionId: session.id,
-    mainSlug: session.mainSlug,
-    notes: noteSummaries,
-    pendingNotes,
-    pendingArchives,
-    ready
-  };
+const moveFile = async (source, target) => {
+  try {
+    await fsp.rename(source, target);
+  } catch (err) {
+    if (err.code !== 'EXDEV') throw err;
+    await fsp.copyFile(source, target);
+    await fsp.rm(source, { force: true });
+  }
 };
 
-const getSession = async id => await summarizeSession(await loadSession(id));
+const notReady = message => Object.assign(new Error(message), { status: 409, body: { code: 'session_not_ready' } });
 
 const assertReady = session => {
   if (Object.keys(session.pendingNotes).length > 0) {
-    throw new Error('Cannot commit: missing linked notes');
+    throw notReady('Cannot commit: missing linked notes');
   }
   const unresolved = Object.values(session.archives).filter(a => !a.resolved);
-  if (unresolved.length) throw new Error('Cannot commit: missing archive uploads');
-  if (!session.mainSlug) throw new Error('No main note uploaded');
+  if (unresolved.length) throw notReady('Cannot commit: missing archive uploads');
+  const missingAttachments = Object.values(session.attachments || {}).filter(a => !a.resolved);
+  if (missingAttachments.length) throw notReady('Cannot commit: missing attachment uploads');
+  if (!session.mainSlug) throw notReady('No main note uploaded');
 };
 
 const convertWikiLinks = (body, session, currentSlug, folderMap, existingCache) => body.replace(/\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g, (match, target, alias) => {
@@ -268,79 +182,588 @@ const convertWikiLinks = (body, session, currentSlug, folderMap, existingCache)
   return url ? `[${display}](${url})` : display;
 });
 
-const convertExternalLinks = (body, note, archiveMap) => body.replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, (match, text, url) => {
+const convertExternalLinks = (body, note, archiveMap) => body.replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, (match, text, url, offset) => {
+  if (body[offset - 1] === '!') return match;
   const archiveId = archiveIdFromUrl(url);
   const newUrl = archiveMap[archiveId];
   if (!newUrl) return match;
   return `[${text}](${newUrl})`;
 });
 
-const permalinkFromFolder = folder => {
-  const date = folder.slice(0, 10);
-  const slug = folder.slice(11);
-  if (!date || !slug) return `/posts/${folder}/`;
-  const y = date.slice(0, 4);
-  const m = date.slice(5, 7);
-  const d = date.slice(8, 10);
-  return `/${y}/${m}/${d}/${slug}/`;
+const renderEmbed = (kind, url, label) => {
+  const size = /^(\d+)(?:x(\d+))?$/.exec(label || '');
+  if (kind === 'image' && size) return `<img src="${url}" width="${size[1]}"${size[2] ? ` height="${size[2]}"` : ''}>`;
+  if (kind === 'image') return `![${label || ''}](${url})`;
+  if (kind === 'audio') return `<audio controls src="${url}"></audio>`;
+  if (kind === 'video') return `<video controls src="${url}"${size ? ` width="${size[1]}"` : ''}></video>`;
+  return `<object data="${url}" type="application/pdf" width="100%" height="600"><a href="${url}">${label || path.posix.basename(decodeURI(url))}</a></object>`;
+};
+
+// Rewrites attachment embeds to point at the copies stored in the post folder; other embeds are left alone.
+const convertEmbeds = (body, attachmentMap) => body
+  .replace(WIKI_EMBED, (match, target, alias) => {
+    const entry = attachmentMap[attachmentKey(target.trim())];
+    return entry ? renderEmbed(entry.kind, entry.url, (alias || '').trim()) : match;
+  })
+  .replace(MARKDOWN_EMBED, (match, alt, target) => {
+    const decoded = decodeTarget(target);
+    const entry = isLocalTarget(decoded) ? attachmentMap[attachmentKey(decoded)] : null;
+    if (!entry) return match;
+    return entry.kind === 'image' ? `![${alt}](${entry.url})` : renderEmbed(entry.kind, entry.url, alt);
+  });
+
+const UPLOAD_GALLERY = /<div class="upload-gallery"[\s\S]*?\n<\/div>/;
+
+// Keeps the image gallery and archive links that were added to the post through the API.
+const carryOverUploads = (body, previous, folder) => {
+  if (!previous) return body;
+  const extras = [];
+  const gallery = previous.match(UPLOAD_GALLERY);
+  if (gallery && !body.includes('class="upload-gallery"')) extras.push(gallery[0]);
+  const archiveLink = new RegExp(`\\[[^\\]]*\\]\\((/posts/${folder.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}/archives/[^)\\s]+)\\)`, 'g');
+  for (const match of previous.matchAll(archiveLink)) {
+    if (!body.includes(match[1])) extras.push(match[0]);
+  }
+  if (!extras.length) return body;
+  return `${body.trimEnd()}\n\n${extras.join('\n\n')}\n`;
 };
 
 const resolveNoteUrl = (session, targetSlug, folderMap, existingCache) => {
   if (session.notes[targetSlug]) {
-    return permalinkFromDateSlug(session.notes[targetSlug].date, targetSlug);
+    return permalinkFromFolder(folderMap[targetSlug]);
   }
   const existing = findExistingFolder(existingCache, targetSlug);
   if (existing) return permalinkFromFolder(existing);
   return null;
 };
 
-const commitSession = async sessionId => {
-  const session = await loadSession(sessionId);
-  assertReady(session);
-  await ensureDir(postsRoot);
+const stagePlan = async (stagingDir, plan) => {
+  const staged = path.join(stagingDir, 'posts', plan.folder);
+  await ensureDir(staged);
+  for (const copy of plan.pending) {
+    const target = path.join(staged, copy.relative);
+    await ensureDir(path.dirname(target));
+    await fsp.copyFile(copy.source, target);
+  }
+  await fsp.writeFile(path.join(staged, 'index.md'), plan.output);
+};
 
-  const existingCache = await buildExistingCache();
-  const folderMap = {};
-  for (const note of Object.values(session.notes)) {
-    const folder = folderFromDateSlug(note.date, note.slug);
-    folderMap[note.slug] = folder;
+const listFiles = async (dir, prefix = '') => {
+  const files = [];
+  for (const entry of await fsp.readdir(path.join(dir, prefix), { withFileTypes: true })) {
+    const relative = path.join(prefix, entry.name);
+    if (entry.isDirectory()) files.push(...await listFiles(dir, relative));
+    else files.push(relative);
   }
+  return files;
+};
+
+const createUploadSessions = (config, { revisions, locks, webhooks, gitHistory }) => {
+  const postsRoot = config.paths.posts;
+  const sessionsRoot = config.paths.sessions;
+  const stagingRoot = config.paths.staging;
+  const SESSION_TTL_HOURS = config.uploadSessions.ttlHours;
+
+  const readExistingPost = async folder => {
+    try {
+      const raw = await fsp.readFile(path.join(postsRoot, folder, 'index.md'), 'utf8');
+      const data = fm.parse(raw);
+      const content = data._content || '';
+      delete data._content;
+      return { raw, meta: data, content };
+    } catch (err) {
+      if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return null;
+      throw err;
+    }
+  };
+
+  // Maps slugs (from folder names and front matter) and front matter ids to existing post folders.
+  const buildExistingCache = async () => {
+    const cache = { slugs: {}, uids: {} };
+    let folders;
+    try {
+      folders = await fsp.readdir(postsRoot);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      return cache;
+    }
+    for (const folder of folders) {
+      const parts = folder.split('-');
+      if (parts.length < 2) continue;
+      const slug = parts.slice(3).join('-') || parts.slice(2).join('-') || parts.slice(1).join('-') || folder;
+      cache.slugs[slug] = folder;
+      const existing = await readExistingPost(folder);
+      if (!existing) continue;
+      if (existing.meta.slug) cache.slugs[String(existing.meta.slug)] = folder;
+      if (existing.meta[UID_FIELD]) cache.uids[String(existing.meta[UID_FIELD])] = folder;
+    }
+    return cache;
+  };
+
+  const sessionPath = id => path.join(sessionsRoot, id);
+
+  const sessionFile = id => path.join(sessionPath(id), 'session.json');
+
+  const loadSession = async id => {
+    if (!isSafeId(id)) throw sessionNotFound();
+    const file = sessionFile(id);
+    try {
+      return await readJSON(file);
+    } catch (err) {
+      if (err.code === 'ENOENT') throw sessionNotFound();
+      throw err;
+    }
+  };
+
+  const saveSession = async session => {
+    session.updatedAt = new Date().toISOString();
+    await writeJSON(sessionFile(session.id), session);
+  };
+
+  // Sessions expire after SESSION_TTL_HOURS without activity; older sessions without updatedAt fall back to createdAt.
+  const expiresAt = session => {
+    if (!(SESSION_TTL_HOURS > 0)) return null;
+    const lastActivity = new Date(session.updatedAt || session.createdAt).getTime();
+    return new Date(lastActivity + SESSION_TTL_HOURS * 3600000).toISOString();
+  };
 
-  for (const [slug, note] of Object.entries(session.notes)) {
-    const folder = folderMap[slug];
+  // Sessions with a note, file or commit in flight, and sessions being purged; purgeExpired skips the former,
+  // and requests for the latter get 404 instead of racing the removal.
+  const activeSessions = new Map();
+  const purging = new Set();
+
+  const whileActive = async (id, fn) => {
+    if (purging.has(id)) throw sessionNotFound();
+    activeSessions.set(id, (activeSessions.get(id) || 0) + 1);
+    try {
+      return await fn();
+    } finally {
+      const remaining = activeSessions.get(id) - 1;
+      if (remaining > 0) activeSessions.set(id, remaining);
+      else activeSessions.delete(id);
+    }
+  };
+
+  const createSession = async () => {
+    const id = randomId();
+    await ensureDir(sessionPath(id));
+    await saveSession(defaultSession(id));
+    return { sessionId: id };
+  };
+
+  const notePath = (sessionId, slug) => path.join(sessionPath(sessionId), 'notes', `${slug}.md`);
+
+  const archivePath = (sessionId, archiveId, filename) => path.join(sessionPath(sessionId), 'archives', `${archiveId}-${filename}`);
+
+  const attachmentPath = (sessionId, filename) => path.join(sessionPath(sessionId), 'attachments', filename);
+
+  // Archives and attachments already stored in the post being updated count as uploaded.
+  const reuseExistingAssets = async (session, note, folder) => {
     const destDir = path.join(postsRoot, folder);
-    await ensureDir(destDir);
+    let archived = [];
+    try {
+      archived = await fsp.readdir(path.join(destDir, 'archives'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    for (const archiveId of Object.keys(note.dependencies.archives)) {
+      const archive = session.archives[archiveId];
+      const existing = archived.find(name => name.startsWith(`${archiveId}-`));
+      if (archive.resolved || !existing) continue;
+      Object.assign(archive, { resolved: true, filename: existing.slice(archiveId.length + 1), filePath: path.join(destDir, 'archives', existing) });
+    }
+    for (const key of Object.keys(note.dependencies.attachments)) {
+      const attachment = session.attachments[key];
+      const existing = path.join(destDir, attachment.name);
+      if (attachment.resolved || !fs.existsSync(existing)) continue;
+      Object.assign(attachment, { resolved: true, filename: attachment.name, filePath: existing });
+    }
+  };
+
+  const addNote = input => whileActive(input.sessionId, () => storeNote(input));
+
+  const storeNote = async ({ sessionId, filename, content, isMain }) => {
+    if (!filename || !content) throw Object.assign(new Error('Filename and content required'), { status: 400 });
+    const session = await loadSession(sessionId);
+    const existingCache = await buildExistingCache();
+    let parsed;
+    try {
+      parsed = parseMarkdown(content, filename);
+    } catch (err) {
+      throw Object.assign(new Error(`Invalid front matter in ${filename}: ${err.message}`), { status: 400, body: { code: 'invalid_front_matter' } });
+    }
+    const { meta, body } = parsed;
+    const slug = meta.slug;
+    const fileTarget = notePath(sessionId, slug);
+    await ensureDir(path.dirname(fileTarget));
+    await fsp.writeFile(fileTarget, content);
+
+    const wikiLinks = extractWikiLinks(body);
+    const externalLinks = extractExternalLinks(body);
+    const embeds = extractEmbeds(body);
+
+    session.notes[slug] = {
+      slug,
+      title: meta.title,
+      date: meta.date,
+      meta,
+      body,
+      file: fileTarget,
+      isMain: Boolean(isMain),
+      dependencies: { notes: {}, archives: {}, attachments: {} }
+    };
+
+    if (isMain) session.mainSlug = slug;
+
+    delete session.pendingNotes[slug];
+    await updateNoteDependencies(session, session.notes[slug], wikiLinks, externalLinks, embeds, existingCache);
+    const target = resolveTarget(existingCache, session.notes[slug]);
+    if (target.action === 'update') await reuseExistingAssets(session, session.notes[slug], target.folder);
+
+    await saveSession(session);
+    return await summarizeSession(session);
+  };
+
+  const storeArchive = (sessionId, sourceUrl, filename, place) => whileActive(sessionId, async () => {
+    const session = await loadSession(sessionId);
+    const archiveId = archiveIdFromUrl(sourceUrl);
+    if (!session.archives[archiveId]) {
+      throw Object.assign(new Error('Archive was not requested'), { status: 400, body: { code: 'archive_not_requested' } });
+    }
+    const fileTarget = archivePath(sessionId, archiveId, filename);
+    await ensureDir(path.dirname(fileTarget));
+    await place(fileTarget);
+    session.archives[archiveId].resolved = true;
+    session.archives[archiveId].filename = filename;
+    session.archives[archiveId].filePath = fileTarget;
+    await saveSession(session);
+    return await summarizeSession(session);
+  });
+
+  const addArchive = async ({ sessionId, sourceUrl, filename, data }) => {
+    if (!sourceUrl || !filename || !data) throw Object.assign(new Error('Archive upload requires url, filename and data'), { status: 400 });
+    const buffer = Buffer.from(data.replace(/^data:[^,]+,/, ''), 'base64');
+    return await storeArchive(sessionId, sourceUrl, path.basename(filename), target => fsp.writeFile(target, buffer));
+  };
+
+  const addArchiveFile = async ({ sessionId, sourceUrl, filename, filePath }) => {
+    if (!sourceUrl || !filename || !filePath) throw Object.assign(new Error('Archive upload requires url, filename and file'), { status: 400 });
+    return await storeArchive(sessionId, sourceUrl, path.basename(filename), target => moveFile(filePath, target));
+  };
+
+  const storeAttachment = (sessionId, filename, place) => whileActive(sessionId, async () => {
+    const session = await loadSession(sessionId);
+    const attachment = (session.attachments || {})[attachmentKey(filename)];
+    if (!attachment) {
+      throw Object.assign(new Error('Attachment was not requested'), { status: 400, body: { code: 'attachment_not_requested' } });
+    }
+    if (attachment.filePath) await fsp.rm(attachment.filePath, { force: true });
+    const fileTarget = attachmentPath(sessionId, attachment.name);
+    await ensureDir(path.dirname(fileTarget));
+    await place(fileTarget);
+    attachment.resolved = true;
+    attachment.filename = attachment.name;
+    attachment.filePath = fileTarget;
+    await saveSession(session);
+    return await summarizeSession(session);
+  });
+
+  const addAttachment = async ({ sessionId, filename, data }) => {
+    if (!filename || !data) throw Object.assign(new Error('Attachment upload requires filename and data'), { status: 400 });
+    const buffer = Buffer.from(data.replace(/^data:[^,]+,/, ''), 'base64');
+    return await storeAttachment(sessionId, path.basename(filename), target => fsp.writeFile(target, buffer));
+  };
+
+  const addAttachmentFile = async ({ sessionId, filename, filePath }) => {
+    if (!filename || !filePath) throw Object.assign(new Error('Attachment upload requires filename and file'), { status: 400 });
+    return await storeAttachment(sessionId, path.basename(filename), target => moveFile(filePath, target));
+  };
+
+  const summarizeSession = async session => {
+    const existingCache = await buildExistingCache();
+    const pendingNotes = Object.entries(session.pendingNotes).map(([slug, info]) => ({ slug, ...info }));
+    const pendingArchives = Object.values(session.archives).filter(archive => !archive.resolved).map(({ id, url, referencedBy }) => ({ id, url, referencedBy }));
+    const attachments = session.attachments || {};
+    const pendingAttachments = Object.values(attachments).filter(attachment => !attachment.resolved).map(({ name, kind, referencedBy }) => ({ name, kind, referencedBy }));
+    const noteSummaries = Object.values(session.notes).map(note => ({
+      slug: note.slug,
+      title: note.title,
+      isMain: note.isMain,
+      ...resolveTarget(existingCache, note),
+      missingNotes: Object.keys(note.dependencies.notes).filter(dep => !session.notes[dep] && !findExistingFolder(existingCache, dep)).map(dep => ({ slug: dep, alias: note.dependencies.notes[dep].alias })),
+      missingArchives: Object.keys(note.dependencies.archives).filter(id => !session.archives[id] || !session.archives[id].resolved).map(id => ({ id, text: note.dependencies.archives[id] })),
+      missingAttachments: Object.keys(note.dependencies.attachments || {}).filter(key => !attachments[key] || !attachments[key].resolved).map(key => note.dependencies.attachments[key])
+    }));
+    const ready = pendingNotes.length === 0 && pendingArchives.length === 0 && pendingAttachments.length === 0;
+    return {
+      sessionId: session.id,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt || session.createdAt,
+      expiresAt: expiresAt(session),
+      mainSlug: session.mainSlug,
+      notes: noteSummaries,
+      pendingNotes,
+      pendingArchives,
+      pendingAttachments,
+      ready
+    };
+  };
+
+  const getSession = async id => await summarizeSession(await loadSession(id));
+
+  const readSessions = async () => {
+    let ids;
+    try {
+      ids = await fsp.readdir(sessionsRoot);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    const sessions = [];
+    for (const id of ids) {
+      try {
+        sessions.push(await loadSession(id));
+      } catch {
+        continue;
+      }
+    }
+    return sessions;
+  };
+
+  // Oldest first, so abandoned sessions are easy to spot.
+  const listSessions = async () => {
+    const now = Date.now();
+    const results = [];
+    for (const session of await readSessions()) {
+      const summary = await summarizeSession(session);
+      results.push({
+        sessionId: summary.sessionId,
+        createdAt: summary.createdAt,
+        updatedAt: summary.updatedAt,
+        expiresAt: summary.expiresAt,
+        ageSeconds: Math.floor((now - new Date(summary.createdAt).getTime()) / 1000),
+        mainSlug: summary.mainSlug,
+        noteCount: summary.notes.length,
+        pendingNotes: summary.pendingNotes.length,
+        pendingArchives: summary.pendingArchives.length,
+        pendingAttachments: summary.pendingAttachments.length,
+        ready: summary.ready && Boolean(summary.mainSlug)
+      });
+    }
+    return results.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  };
+
+  const abortSession = async id => {
+    const session = await loadSession(id);
+    await fsp.rm(sessionPath(id), { recursive: true, force: true });
+    return { sessionId: id, aborted: true, notes: Object.keys(session.notes) };
+  };
+
+  const purgeExpired = async () => {
+    const now = Date.now();
+    const purged = [];
+    const expired = session => {
+      const expiry = expiresAt(session);
+      return Boolean(expiry) && new Date(expiry).getTime() <= now;
+    };
+    for (const listed of await readSessions()) {
+      if (!expired(listed) || activeSessions.has(listed.id)) continue;
+      purging.add(listed.id);
+      try {
+        // Re-read under the purge mark: a request that finished since the listing may have renewed the session.
+        const session = await loadSession(listed.id).catch(() => null);
+        if (!session || !expired(session)) continue;
+        await fsp.rm(sessionPath(session.id), { recursive: true, force: true });
+        purged.push({ sessionId: session.id, createdAt: session.createdAt, updatedAt: session.updatedAt || session.createdAt, notes: Object.keys(session.notes) });
+      } finally {
+        purging.delete(listed.id);
+      }
+    }
+    return purged;
+  };
+
+  const resolveTargets = async session => {
+    const existingCache = await buildExistingCache();
+    const targets = {};
+    const folderMap = {};
+    for (const note of Object.values(session.notes)) {
+      targets[note.slug] = resolveTarget(existingCache, note);
+      folderMap[note.slug] = targets[note.slug].folder;
+    }
+    const folders = Object.values(folderMap);
+    const clash = folders.find((folder, index) => folders.indexOf(folder) !== index);
+    if (clash) throw Object.assign(new Error(`Cannot commit: several notes map to ${clash}`), { status: 409, body: { code: 'folder_conflict' } });
+    return { existingCache, targets, folderMap };
+  };
+
+  // Works out the final markdown and the files to copy for one note without touching posts/.
+  const planNote = async (session, note, target, folderMap, existingCache) => {
+    const { slug } = note;
+    const folder = target.folder;
+    const existing = target.action === 'update' ? await readExistingPost(folder) : null;
+    const copies = [];
 
     const archiveLinks = {};
     for (const archiveId of Object.keys(note.dependencies.archives)) {
       const archive = session.archives[archiveId];
-      const archivesDir = path.join(destDir, 'archives');
-      await ensureDir(archivesDir);
       const safeName = archive.filename || `${archiveId}.html`;
-      const destFile = path.join(archivesDir, `${archiveId}-${safeName}`);
-      await fsp.copyFile(archive.filePath, destFile);
-      archiveLinks[archiveId] = encodeURI(`/posts/${folder}/archives/${path.basename(destFile)}`);
+      const relative = path.posix.join('archives', `${archiveId}-${safeName}`);
+      archiveLinks[archiveId] = encodeURI(`/posts/${folder}/${relative}`);
+      copies.push({ type: 'archive', id: archiveId, url: archive.url, source: archive.filePath, relative, path: archiveLinks[archiveId] });
+    }
+
+    const attachmentMap = {};
+    for (const key of Object.keys(note.dependencies.attachments || {})) {
+      const attachment = session.attachments[key];
+      attachmentMap[key] = { kind: attachment.kind, url: `/posts/${folder}/${encodeURIComponent(attachment.filename)}` };
+      copies.push({ type: 'attachment', kind: attachment.kind, name: attachment.name, source: attachment.filePath, relative: attachment.filename, path: attachmentMap[key].url });
     }
 
     let body = note.body;
+    body = convertEmbeds(body, attachmentMap);
     body = convertWikiLinks(body, session, slug, folderMap, existingCache);
     body = convertExternalLinks(body, note, archiveLinks);
+    body = carryOverUploads(body, existing && existing.content, folder);
 
-    const meta = { ...note.meta, slug: note.slug, date: note.date };
+    // Updates keep the post's slug and date so its folder and permalink stay put.
+    const meta = existing
+      ? { ...existing.meta, ...note.meta, slug: existing.meta.slug || slug, date: existing.meta.date || note.date }
+      : { ...note.meta, slug, date: note.date };
     meta.tags = normalizeTags(meta.tags);
+    if (!meta[UID_FIELD]) meta[UID_FIELD] = newUid();
     const content = body.endsWith('\n') ? body : `${body}\n`;
     const output = fm.stringify({ ...meta, _content: content });
-    await fsp.writeFile(path.join(destDir, 'index.md'), output);
-  }
+    const pending = copies.filter(copy => path.resolve(copy.source) !== path.resolve(postsRoot, folder, copy.relative));
+    return { slug, folder, title: meta.title, action: target.action, matchedBy: target.matchedBy, previous: existing && existing.raw, output, copies, pending };
+  };
+
+  const planNotes = async (session, { existingCache, targets, folderMap }) => {
+    const plans = [];
+    for (const [slug, note] of Object.entries(session.notes)) {
+      plans.push(await planNote(session, note, targets[slug], folderMap, existingCache));
+    }
+    return plans;
+  };
+
+  const previewCommit = async sessionId => {
+    const session = await loadSession(sessionId);
+    assertReady(session);
+    const plans = await planNotes(session, await resolveTargets(session));
+    return {
+      dryRun: true,
+      sessionId,
+      notes: plans.map(plan => ({
+        slug: plan.slug,
+        folder: plan.folder,
+        action: plan.action,
+        matchedBy: plan.matchedBy,
+        markdown: plan.output,
+        archives: plan.copies.filter(copy => copy.type === 'archive').map(({ id, url, path: target }) => ({ id, url, path: target, copied: plan.pending.some(copy => copy.id === id) })),
+        attachments: plan.copies.filter(copy => copy.type === 'attachment').map(({ name, kind, path: target }) => ({ name, kind, path: target, copied: plan.pending.some(copy => copy.name === name) }))
+      }))
+    };
+  };
+
+  // Moves staged folders and files into posts/; on any failure every completed step is undone in reverse.
+  const swapIn = async (stagingDir, plans) => {
+    const undo = [];
+    try {
+      for (const plan of plans) {
+        const staged = path.join(stagingDir, 'posts', plan.folder);
+        const dest = path.join(postsRoot, plan.folder);
+        if (plan.action === 'create') {
+          if (fs.existsSync(dest)) throw Object.assign(new Error(`Cannot commit: ${plan.folder} already exists`), { status: 409, body: { code: 'folder_conflict' } });
+          await fsp.rename(staged, dest);
+          undo.push(() => fsp.rm(dest, { recursive: true, force: true }));
+          continue;
+        }
+        for (const relative of await listFiles(staged)) {
+          const target = path.join(dest, relative);
+          const backup = path.join(stagingDir, 'backup', plan.folder, relative);
+          if (fs.existsSync(target)) {
+            await ensureDir(path.dirname(backup));
+            await fsp.rename(target, backup);
+            undo.push(() => fsp.rename(backup, target));
+          } else {
+            undo.push(() => fsp.rm(target, { force: true }));
+          }
+          await ensureDir(path.dirname(target));
+          await fsp.rename(path.join(staged, relative), target);
+        }
+      }
+    } catch (err) {
+      for (const step of undo.reverse()) {
+        await step().catch(undoErr => console.error(undoErr));
+      }
+      throw err;
+    }
+  };
 
-  await fsp.rm(sessionPath(sessionId), { recursive: true, force: true });
-  return { success: true, folders: Object.values(folderMap) };
+  const commitSession = (sessionId, actor) => whileActive(sessionId, () => commitStaged(sessionId, actor));
+
+  // Builds every post in a staging area first, so a failure leaves posts/ and the session untouched.
+  const commitStaged = async (sessionId, actor) => {
+    const session = await loadSession(sessionId);
+    assertReady(session);
+    await ensureDir(postsRoot);
+
+    const resolved = await resolveTargets(session);
+    const stagingDir = path.join(stagingRoot, `${sessionId}-${randomId()}`);
+    let plans;
+    try {
+      plans = await locks.withFolderLocks(Object.values(resolved.folderMap), async () => {
+        const planned = await planNotes(session, resolved);
+        for (const plan of planned) {
+          await stagePlan(stagingDir, plan);
+        }
+        await swapIn(stagingDir, planned);
+        for (const plan of planned) {
+          if (!plan.previous || plan.previous === plan.output) continue;
+          // The commit has already landed; a missing revision must not report it as failed.
+          await revisions.snapshot(plan.folder, plan.previous, 'upload').catch(err => console.error(err));
+        }
+        return planned;
+      });
+    } finally {
+      await fsp.rm(stagingDir, { recursive: true, force: true });
+    }
+
+    await fsp.rm(sessionPath(sessionId), { recursive: true, force: true });
+    const result = {
+      success: true,
+      folders: plans.map(plan => plan.folder),
+      created: plans.filter(plan => plan.action === 'create').map(plan => plan.folder),
+      updated: plans.filter(plan => plan.action === 'update').map(plan => plan.folder)
+    };
+    const noteCount = plans.length;
+    await gitHistory.commit(result.folders.map(folder => path.relative(config.root, path.join(postsRoot, folder))), `Commit upload session ${sessionId} (${noteCount} note${noteCount === 1 ? '' : 's'})`, actor);
+    webhooks.emit('upload.committed', {
+      sessionId,
+      created: result.created,
+      updated: result.updated,
+      posts: plans.map(plan => ({ folder: plan.folder, permalink: permalinkFromFolder(plan.folder), action: plan.action, title: plan.title }))
+    }, actor);
+    return result;
+  };
+
+  return {
+    createSession,
+    addNote,
+    addArchive,
+    addArchiveFile,
+    addAttachment,
+    addAttachmentFile,
+    getSession,
+    previewCommit,
+    listSessions,
+    abortSession,
+    purgeExpired,
+    commitSession
+  };
 };
 
 module.exports = {
-  createSession,
-  addNote,
-  addArchive,
-  getSession,
-  commitSession
+  UID_FIELD,
+  newUid,
+  createUploadSessions
 };
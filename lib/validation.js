@@ -0,0 +1,171 @@
+'use strict';
+
+// The JSON Schema subset the API schemas use: type, enum, const, properties, required,
+// additionalProperties, items, minItems, maxItems, minLength, maxLength, pattern, minimum,
+// maximum, format (date-time, uri) and anyOf.
+
+const STATUS_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  412: 'precondition_failed',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  422: 'unprocessable',
+  429: 'too_many_requests',
+  500: 'internal_error'
+};
+
+// Stable `code` for error responses that do not carry a more specific one.
+const errorCode = status => STATUS_CODES[status] || (status >= 500 ? 'internal_error' : 'bad_request');
+
+const httpError = (status, message, code, body) => Object.assign(new Error(message), { status, body: code ? { code, ...body } : body });
+
+const typeOf = value => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+const FORMATS = {
+  'date-time': value => !Number.isNaN(new Date(value).getTime()),
+  uri: value => {
+    try {
+      return Boolean(new URL(value));
+    } catch {
+      return false;
+    }
+  }
+};
+
+const joinPath = (base, key) => (typeof key === 'number' ? `${base}[${key}]` : base ? `${base}.${key}` : key);
+
+/**
+ * Validates `value` against `schema` and returns every problem as `{ path, code, message }`,
+ * where `path` is dotted from `root` (`body.target.folder`, `query.limit`, `body.sources[1]`).
+ */
+const validate = (schema, value, root = '') => {
+  const errors = [];
+  const fail = (path, code, message) => errors.push({ path: path || root, code, message });
+
+  const check = (rule, data, path) => {
+    if (!rule) return;
+    if (rule.anyOf) {
+      const passing = rule.anyOf.some(option => !validate(option, data, path).length);
+      if (!passing) fail(path, 'any_of', rule.description ? `must be ${rule.description}` : 'does not match any allowed shape');
+      return;
+    }
+    if (rule.type) {
+      const types = Array.isArray(rule.type) ? rule.type : [rule.type];
+      if (!types.some(type => matchesType(data, type))) {
+        fail(path, 'type', `must be ${types.join(' or ')}`);
+        return;
+      }
+    }
+    if (rule.const !== undefined && data !== rule.const) fail(path, 'const', `must be ${JSON.stringify(rule.const)}`);
+    if (rule.enum && !rule.enum.includes(data)) fail(path, 'enum', `must be one of ${rule.enum.join(', ')}`);
+
+    if (typeof data === 'string') {
+      if (rule.minLength !== undefined && data.length < rule.minLength) {
+        fail(path, rule.minLength === 1 ? 'required' : 'min_length', rule.minLength === 1 ? 'must not be empty' : `must be at least ${rule.minLength} characters`);
+      }
+      if (rule.maxLength !== undefined && data.length > rule.maxLength) fail(path, 'max_length', `must be at most ${rule.maxLength} characters`);
+      if (rule.pattern && !new RegExp(rule.pattern, 'u').test(data)) fail(path, 'pattern', `must match ${rule.pattern}`);
+      if (rule.format && FORMATS[rule.format] && !FORMATS[rule.format](data)) fail(path, 'format', `must be a valid ${rule.format}`);
+    }
+
+    if (typeof data === 'number') {
+      if (rule.minimum !== undefined && data < rule.minimum) fail(path, 'minimum', `must be >= ${rule.minimum}`);
+      if (rule.maximum !== undefined && data > rule.maximum) fail(path, 'maximum', `must be <= ${rule.maximum}`);
+    }
+
+    if (Array.isArray(data)) {
+      if (rule.minItems !== undefined && data.length < rule.minItems) fail(path, 'min_items', `must have at least ${rule.minItems} item${rule.minItems === 1 ? '' : 's'}`);
+      if (rule.maxItems !== undefined && data.length > rule.maxItems) fail(path, 'max_items', `must have at most ${rule.maxItems} items`);
+      if (rule.items) data.forEach((item, index) => check(rule.items, item, joinPath(path, index)));
+    }
+
+    if (typeOf(data) === 'object') {
+      for (const key of rule.required || []) {
+        if (data[key] === undefined || data[key] === null) fail(joinPath(path, key), 'required', 'is required');
+      }
+      const properties = rule.properties || {};
+      for (const [key, item] of Object.entries(data)) {
+        // Optional fields sent as null are treated as absent, as the handlers always have.
+        if (item === undefined || item === null) continue;
+        if (properties[key]) {
+          check(properties[key], item, joinPath(path, key));
+        } else if (rule.additionalProperties === false) {
+          fail(joinPath(path, key), 'additional_property', 'is not allowed');
+        } else if (typeOf(rule.additionalProperties) === 'object') {
+          check(rule.additionalProperties, item, joinPath(path, key));
+        }
+      }
+    }
+  };
+
+  check(schema, value, root);
+  return errors;
+};
+
+const validationError = errors => httpError(400, 'Validation failed', 'validation_failed', { errors });
+
+// Decodes one path segment; malformed percent-encoding (`%E0%A4%A`) is the client's mistake, not a 500.
+const decodeSegment = (value, where = 'path') => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    throw httpError(400, 'Malformed percent-encoding in the request path', 'invalid_path', { errors: [{ path: where, code: 'invalid_path', message: 'has malformed percent-encoding' }] });
+  }
+};
+
+// Throws a 400 listing every problem, so clients can fix a request in one round trip.
+const assertValid = (schema, value, root) => {
+  const errors = validate(schema, value, root);
+  if (errors.length) throw validationError(errors);
+  return value;
+};
+
+const coerce = (rule, raw) => {
+  const type = Array.isArray(rule.type) ? rule.type[0] : rule.type;
+  if (type === 'integer' || type === 'number') return raw.trim() !== '' && !Number.isNaN(Number(raw)) ? Number(raw) : raw;
+  if (type === 'boolean') {
+    if (['1', 'true', 'yes'].includes(raw)) return true;
+    if (['0', 'false', 'no'].includes(raw)) return false;
+  }
+  return raw;
+};
+
+// Query strings only carry strings; values are converted to each property's type before validating,
+// and empty values count as absent.
+const queryObject = (schema, searchParams) => {
+  const query = {};
+  for (const [key, rule] of Object.entries((schema && schema.properties) || {})) {
+    if (rule.type === 'array') {
+      const values = searchParams.getAll(key).filter(value => value !== '');
+      if (values.length) query[key] = values.map(value => coerce(rule.items || {}, value));
+      continue;
+    }
+    const value = searchParams.get(key);
+    if (value !== null && value !== '') query[key] = coerce(rule, value);
+  }
+  return query;
+};
+
+module.exports = {
+  errorCode,
+  httpError,
+  validate,
+  validationError,
+  decodeSegment,
+  assertValid,
+  queryObject
+};
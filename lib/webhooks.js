@@ -0,0 +1,324 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const fsp = fs.promises;
+const crypto = require('crypto');
+
+const EVENTS = ['post.created', 'post.updated', 'post.deleted', 'post.renamed', 'upload.committed', 'build.succeeded', 'build.failed'];
+const BASE_DELAY_MS = 10 * 1000;
+const TIMEOUT_MS = 10 * 1000;
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const ensureDir = async dir => {
+  await fsp.mkdir(dir, { recursive: true });
+};
+
+const randomId = () => crypto.randomBytes(6).toString('hex');
+
+// Time-prefixed so a plain sort lists deliveries in creation order.
+const deliveryId = () => `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+
+const isSafeId = id => /^[0-9a-f-]+$/.test(id || '');
+
+const publicView = ({ id, url, events, active, createdAt, createdBy }) => ({ id, url, events, active, createdAt, createdBy });
+
+const validateEvents = events => {
+  const list = Array.isArray(events) ? events : [events];
+  const invalid = list.filter(event => event !== '*' && !EVENTS.includes(event));
+  if (!list.length || invalid.length) {
+    throw httpError(400, `events must be "*" or any of ${EVENTS.join(', ')}`);
+  }
+  return Array.from(new Set(list));
+};
+
+const validateUrl = url => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw httpError(400, 'A valid url is required');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) throw httpError(400, 'url must be http or https');
+  return parsed.toString();
+};
+
+// Signs `<timestamp>.<body>` so receivers can reject replayed or altered payloads.
+const sign = (secret, timestamp, body) => `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+const backoff = attempt => BASE_DELAY_MS * 4 ** (attempt - 1);
+
+const summarize = ({ id, webhookId, url, event, status, attempts, createdAt, nextAttemptAt, redeliveryOf }) => ({
+  id,
+  webhookId,
+  url,
+  event,
+  status,
+  attempts: attempts.length,
+  lastStatus: attempts.length ? attempts[attempts.length - 1].status : null,
+  createdAt,
+  nextAttemptAt,
+  redeliveryOf: redeliveryOf || null
+});
+
+const createWebhooks = (config) => {
+  const storePath = config.paths.webhooks;
+  const deliveriesRoot = config.paths.deliveries;
+  const MAX_ATTEMPTS = config.webhooks.maxAttempts;
+  const LOG_LIMIT = config.webhooks.logLimit;
+
+  let cache = null;
+  const timers = new Map();
+
+  const readStore = async () => {
+    if (cache) return cache;
+    try {
+      const json = JSON.parse(await fsp.readFile(storePath, 'utf8') || '{}');
+      cache = Array.isArray(json.webhooks) ? json.webhooks : [];
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      cache = [];
+    }
+    return cache;
+  };
+
+  const writeStore = async webhooks => {
+    await fsp.mkdir(path.dirname(storePath), { recursive: true });
+    await fsp.writeFile(storePath, JSON.stringify({ webhooks }, null, 2), { mode: 0o600 });
+    cache = webhooks;
+  };
+
+  // The secret is only returned here; deliveries are signed with it.
+  const createWebhook = async ({ url, events, secret }, createdBy) => {
+    const webhook = {
+      id: randomId(),
+      url: validateUrl(url),
+      events: validateEvents(events || '*'),
+      secret: secret || `whsec_${crypto.randomBytes(24).toString('base64url')}`,
+      active: true,
+      createdAt: new Date().toISOString(),
+      createdBy: createdBy || null
+    };
+    await writeStore([...(await readStore()), webhook]);
+    return { webhook: publicView(webhook), secret: webhook.secret };
+  };
+
+  const listWebhooks = async () => (await readStore()).map(publicView);
+
+  const findWebhook = async id => {
+    const webhook = (await readStore()).find(entry => entry.id === id);
+    if (!webhook) throw httpError(404, 'Webhook not found');
+    return webhook;
+  };
+
+  const updateWebhook = async (id, { url, events, active }) => {
+    const current = await findWebhook(id);
+    const next = { ...current };
+    if (url !== undefined) next.url = validateUrl(url);
+    if (events !== undefined) next.events = validateEvents(events);
+    if (active !== undefined) next.active = Boolean(active);
+    await writeStore((await readStore()).map(entry => (entry.id === id ? next : entry)));
+    return publicView(next);
+  };
+
+  const deleteWebhook = async id => {
+    await findWebhook(id);
+    await writeStore((await readStore()).filter(entry => entry.id !== id));
+    return { id, deleted: true };
+  };
+
+  const deliveryFile = id => path.join(deliveriesRoot, `${id}.json`);
+
+  const saveDelivery = async delivery => {
+    await ensureDir(deliveriesRoot);
+    await fsp.writeFile(deliveryFile(delivery.id), JSON.stringify(delivery, null, 2));
+  };
+
+  const readDelivery = async id => {
+    if (!isSafeId(id)) throw httpError(404, 'Delivery not found');
+    try {
+      return JSON.parse(await fsp.readFile(deliveryFile(id), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') throw httpError(404, 'Delivery not found');
+      throw err;
+    }
+  };
+
+  const deliveryIds = async () => {
+    try {
+      return (await fsp.readdir(deliveriesRoot)).filter(name => name.endsWith('.json')).map(name => name.slice(0, -5)).sort();
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  };
+
+  const pruneDeliveries = async () => {
+    if (!(LOG_LIMIT > 0)) return;
+    const ids = await deliveryIds();
+    for (const id of ids.slice(0, Math.max(ids.length - LOG_LIMIT, 0))) {
+      if (timers.has(id)) continue;
+      await fsp.rm(deliveryFile(id), { force: true });
+    }
+  };
+
+  const schedule = (delivery, delayMs) => {
+    clearTimeout(timers.get(delivery.id));
+    const timer = setTimeout(() => {
+      timers.delete(delivery.id);
+      attempt(delivery.id).catch(err => console.error(err));
+    }, Math.max(delayMs, 0));
+    timer.unref();
+    timers.set(delivery.id, timer);
+  };
+
+  const attempt = async id => {
+    const delivery = await readDelivery(id);
+    if (delivery.status !== 'pending') return delivery;
+    let webhook;
+    try {
+      webhook = await findWebhook(delivery.webhookId);
+    } catch {
+      Object.assign(delivery, { status: 'failed', nextAttemptAt: null, error: 'Webhook was deleted' });
+      await saveDelivery(delivery);
+      return delivery;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const started = Date.now();
+    const record = { at: new Date(started).toISOString(), status: null, durationMs: null, error: null };
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'hexo-blog-backend-webhooks',
+          'X-Blog-Event': delivery.event,
+          'X-Blog-Delivery': delivery.id,
+          'X-Blog-Timestamp': timestamp,
+          'X-Blog-Signature': sign(webhook.secret, timestamp, body)
+        },
+        body,
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+      });
+      record.status = response.status;
+      record.response = (await response.text()).slice(0, 1000);
+    } catch (err) {
+      record.error = err.message;
+    }
+    record.durationMs = Date.now() - started;
+    delivery.attempts.push(record);
+
+    if (record.status >= 200 && record.status < 300) {
+      Object.assign(delivery, { status: 'succeeded', nextAttemptAt: null });
+    } else if (delivery.attempts.length >= MAX_ATTEMPTS) {
+      Object.assign(delivery, { status: 'failed', nextAttemptAt: null });
+    } else {
+      const delay = backoff(delivery.attempts.length);
+      delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      schedule(delivery, delay);
+    }
+    await saveDelivery(delivery);
+    return delivery;
+  };
+
+  const enqueueDelivery = async (webhook, event, payload, extra = {}) => {
+    const delivery = {
+      id: deliveryId(),
+      webhookId: webhook.id,
+      url: webhook.url,
+      event,
+      payload,
+      status: 'pending',
+      attempts: [],
+      createdAt: new Date().toISOString(),
+      nextAttemptAt: new Date().toISOString(),
+      ...extra
+    };
+    await saveDelivery(delivery);
+    schedule(delivery, 0);
+    return delivery;
+  };
+
+  // Queues a delivery for every active webhook subscribed to `event`; never throws into the caller.
+  // The payload `id` identifies the event, so receivers can deduplicate retries and redeliveries.
+  const emit = (event, data, actor) => (async () => {
+    const subscribed = (await readStore()).filter(webhook => webhook.active && (webhook.events.includes('*') || webhook.events.includes(event)));
+    if (!subscribed.length) return [];
+    const payload = { id: randomId(), event, createdAt: new Date().toISOString(), actor: actor || null, data };
+    const deliveries = [];
+    for (const webhook of subscribed) {
+      deliveries.push(await enqueueDelivery(webhook, event, payload));
+    }
+    await pruneDeliveries();
+    return deliveries;
+  })().catch(err => {
+    console.error(err);
+    return [];
+  });
+
+  // Newest first; filters `webhook`, `event`, `status` and `limit` (default 100).
+  const listDeliveries = async (filters = {}) => {
+    const limit = filters.limit || 100;
+    const results = [];
+    for (const id of (await deliveryIds()).reverse()) {
+      let delivery;
+      try {
+        delivery = await readDelivery(id);
+      } catch {
+        continue;
+      }
+      if (filters.webhook && delivery.webhookId !== filters.webhook) continue;
+      if (filters.event && delivery.event !== filters.event) continue;
+      if (filters.status && delivery.status !== filters.status) continue;
+      results.push(summarize(delivery));
+      if (results.length >= limit) break;
+    }
+    return results;
+  };
+
+  const getDelivery = readDelivery;
+
+  // Sends the original payload again as a new delivery, with its own attempts and retries.
+  const redeliver = async id => {
+    const original = await readDelivery(id);
+    const webhook = await findWebhook(original.webhookId);
+    return summarize(await enqueueDelivery(webhook, original.event, original.payload, { redeliveryOf: original.id }));
+  };
+
+  // Picks up deliveries that were still waiting for a retry when the process stopped.
+  const resumePending = async () => {
+    for (const id of await deliveryIds()) {
+      const delivery = await readDelivery(id).catch(() => null);
+      if (!delivery || delivery.status !== 'pending' || timers.has(id)) continue;
+      schedule(delivery, new Date(delivery.nextAttemptAt || 0).getTime() - Date.now());
+    }
+  };
+
+  // Cancels scheduled attempts; they are picked up again by `resumePending` on the next start.
+  const stop = () => {
+    timers.forEach(timer => clearTimeout(timer));
+    timers.clear();
+  };
+
+  return {
+    createWebhook,
+    listWebhooks,
+    updateWebhook,
+    deleteWebhook,
+    emit,
+    listDeliveries,
+    getDelivery,
+    redeliver,
+    resumePending,
+    stop
+  };
+};
+
+module.exports = {
+  EVENTS,
+  sign,
+  createWebhooks
+};
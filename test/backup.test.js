@@ -0,0 +1,55 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const fsp = fs.promises;
+const { pipeline } = require('stream/promises');
+const { createBackup } = require('../lib/backup');
+
+const writePost = async (postsRoot, folder, body) => {
+  await fsp.mkdir(path.join(postsRoot, folder), { recursive: true });
+  await fsp.writeFile(path.join(postsRoot, folder, 'index.md'), `---\ntitle: ${folder}\n---\n${body}\n`);
+};
+
+test('replace import locks a post created while it was being planned', async () => {
+  const root = await fsp.mkdtemp(path.join(os.tmpdir(), 'backup-'));
+  const postsRoot = path.join(root, 'posts');
+  const config = {
+    paths: { posts: postsRoot, sessions: path.join(root, 'sessions'), staging: path.join(root, 'staging'), tags: path.join(root, 'tags.json'), redirects: path.join(root, 'redirects.json') },
+    limits: { importEntryBytes: 1024 * 1024, importUnpackedBytes: 1024 * 1024 }
+  };
+  const lockCalls = [];
+  const locks = {
+    withFolderLocks: async (folders, run) => {
+      lockCalls.push([...folders].sort());
+      // The first import pass has locked only what it planned; a post appears before the re-plan.
+      if (lockCalls.length === 2) await writePost(postsRoot, '2024-01-02-late', 'late');
+      return await run();
+    }
+  };
+  const trashed = [];
+  const trash = {
+    moveToTrash: async folder => {
+      await fsp.rm(path.join(postsRoot, folder), { recursive: true });
+      trashed.push(folder);
+      return { id: `trash-${folder}` };
+    }
+  };
+  const backup = createBackup(config, { locks, trash, revisions: { snapshot: async () => {} } });
+  try {
+    await writePost(postsRoot, '2024-01-01-kept', 'kept');
+    const archive = path.join(root, 'export.tar.gz');
+    const { stream } = await backup.createExport();
+    await pipeline(stream, fs.createWriteStream(archive));
+
+    const result = await backup.importArchive(archive, { mode: 'replace', isSafeFolder: () => true });
+    assert.deepStrictEqual(lockCalls.slice(1), [['2024-01-01-kept'], ['2024-01-01-kept', '2024-01-02-late']]);
+    assert.deepStrictEqual(result.folders.map(entry => [entry.folder, entry.status]), [['2024-01-01-kept', 'unchanged'], ['2024-01-02-late', 'removed']]);
+    assert.deepStrictEqual(trashed, ['2024-01-02-late']);
+  } finally {
+    await fsp.rm(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fsp = require('fs').promises;
+const { createBlogServer } = require('../lib/blogServer');
+
+const TOKEN = 'test-token';
+
+// Runs `fn(api)` against a server on a free port with a fresh content root; `api(method, url, body, headers)`
+// resolves with `{ status, headers, body }`.
+const withServer = async fn => {
+  const root = await fsp.mkdtemp(path.join(os.tmpdir(), 'blog-'));
+  const blog = createBlogServer({ root, token: TOKEN });
+  try {
+    const { port } = await blog.start({ port: 0 });
+    const api = async (method, url, body, headers = {}) => {
+      const res = await fetch(`http://localhost:${port}${url}`, {
+        method,
+        headers: { Authorization: `Bearer ${TOKEN}`, 'Content-Type': 'application/json', ...headers },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      const text = await res.text();
+      return { status: res.status, headers: res.headers, body: text ? JSON.parse(text) : null };
+    };
+    await fn(api, root);
+  } finally {
+    await blog.close();
+    await fsp.rm(root, { recursive: true, force: true });
+  }
+};
+
+test('PUT with a stale If-Match is refused with 412 and the current post', () => withServer(async api => {
+  const { body: created } = await api('POST', '/api/posts', { title: 'Draft', content: 'first' });
+  const { headers } = await api('GET', `/api/posts/${created.folder}`);
+  const etag = headers.get('etag');
+
+  const updated = await api('PUT', `/api/posts/${created.folder}`, { content: 'second' }, { 'If-Match': etag });
+  assert.strictEqual(updated.status, 200);
+  assert.notStrictEqual(updated.headers.get('etag'), etag);
+
+  const stale = await api('PUT', `/api/posts/${created.folder}`, { content: 'third' }, { 'If-Match': etag });
+  assert.strictEqual(stale.status, 412);
+  assert.strictEqual(stale.body.etag, updated.headers.get('etag'));
+  assert.strictEqual(stale.body.content.trim(), 'second');
+
+  const { body: current } = await api('GET', `/api/posts/${created.folder}`);
+  assert.strictEqual(current.content.trim(), 'second');
+}));
+
+test('renaming a post rewrites site-relative references in other posts only', () => withServer(async api => {
+  const { body: target } = await api('POST', '/api/posts', { title: 'Target', content: 'x' });
+  const from = target.folder;
+  const content = [
+    `![i](/posts/${from}/i.png)`,
+    `[elsewhere](https://other.site/posts/${from}/i.png)`,
+    `text mentioning posts/${from}/ stays`
+  ].join('\n');
+  const { body: linking } = await api('POST', '/api/posts', { title: 'Linking', content, meta: { cover: `/posts/${from}/i.png` } });
+
+  const renamed = await api('PUT', `/api/posts/${from}`, { slug: 'renamed' });
+  assert.strictEqual(renamed.status, 200);
+  const to = renamed.body.folder;
+  assert.notStrictEqual(to, from);
+  assert.deepStrictEqual(renamed.body.touched, [linking.folder]);
+
+  const { body: rewritten } = await api('GET', `/api/posts/${linking.folder}`);
+  assert.strictEqual(rewritten.meta.cover, `/posts/${to}/i.png`);
+  assert.strictEqual(rewritten.content.trim(), [
+    `![i](/posts/${to}/i.png)`,
+    `[elsewhere](https://other.site/posts/${from}/i.png)`,
+    `text mentioning posts/${from}/ stays`
+  ].join('\n'));
+}));
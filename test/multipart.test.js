@@ -0,0 +1,77 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fsp = require('fs').promises;
+const { PassThrough } = require('stream');
+const { parseMultipart } = require('../lib/multipart');
+
+const BOUNDARY = 'test-boundary';
+
+const request = body => {
+  const req = new PassThrough();
+  req.headers = { 'content-type': `multipart/form-data; boundary=${BOUNDARY}` };
+  req.end(body);
+  return req;
+};
+
+const filePart = (name, data) => [
+  `--${BOUNDARY}`,
+  `Content-Disposition: form-data; name="file"; filename="${name}"`,
+  'Content-Type: application/octet-stream',
+  '',
+  data
+].join('\r\n');
+
+const withTmpDir = async fn => {
+  const tmpDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'multipart-'));
+  try {
+    await fn(tmpDir);
+  } finally {
+    await fsp.rm(tmpDir, { recursive: true, force: true });
+  }
+};
+
+test('streams a complete file part to disk', () => withTmpDir(async tmpDir => {
+  const body = `${filePart('a.txt', 'hello')}\r\n--${BOUNDARY}--\r\n`;
+  const { files } = await parseMultipart(request(body), { tmpDir, limit: 1024 });
+  assert.strictEqual(files.length, 1);
+  assert.strictEqual(files[0].size, 5);
+  assert.strictEqual(await fsp.readFile(files[0].path, 'utf8'), 'hello');
+}));
+
+test('rejects a body truncated inside a file part and removes its temp file', () => withTmpDir(async tmpDir => {
+  const body = filePart('a.txt', 'x'.repeat(4096));
+  await assert.rejects(parseMultipart(request(body), { tmpDir, limit: 1024 * 1024 }), err => {
+    assert.strictEqual(err.status, 400);
+    assert.strictEqual(err.body.code, 'malformed_multipart');
+    return true;
+  });
+  assert.deepStrictEqual(await fsp.readdir(tmpDir), []);
+}));
+
+test('rejects a body missing the closing boundary after a complete part', () => withTmpDir(async tmpDir => {
+  const body = `${filePart('a.txt', 'hello')}\r\n`;
+  await assert.rejects(parseMultipart(request(body), { tmpDir, limit: 1024 }), { status: 400 });
+  assert.deepStrictEqual(await fsp.readdir(tmpDir), []);
+}));
+
+test('rejects a second file part and removes the first', () => withTmpDir(async tmpDir => {
+  const body = `${filePart('a.txt', 'hello')}\r\n${filePart('b.txt', 'world')}\r\n--${BOUNDARY}--\r\n`;
+  await assert.rejects(parseMultipart(request(body), { tmpDir, limit: 1024 }), err => {
+    assert.strictEqual(err.status, 400);
+    assert.strictEqual(err.body.code, 'too_many_parts');
+    return true;
+  });
+  assert.deepStrictEqual(await fsp.readdir(tmpDir), []);
+}));
+
+test('counts text fields against the body limit', () => withTmpDir(async tmpDir => {
+  const field = (name, value) => [`--${BOUNDARY}`, `Content-Disposition: form-data; name="${name}"`, '', value].join('\r\n');
+  const fields = Array.from({ length: 20 }, (_, i) => field(`f${i}`, 'x'.repeat(64 * 1024)));
+  const body = `${fields.join('\r\n')}\r\n${filePart('a.txt', 'hello')}\r\n--${BOUNDARY}--\r\n`;
+  await assert.rejects(parseMultipart(request(body), { tmpDir, limit: 1024 }), { status: 413 });
+  assert.deepStrictEqual(await fsp.readdir(tmpDir), []);
+}));
@@ -0,0 +1,79 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fsp = require('fs').promises;
+const { assetRewriter, assetRemover, createPostAssets } = require('../lib/postAssets');
+
+const withPosts = async (posts, fn) => {
+  const root = await fsp.mkdtemp(path.join(os.tmpdir(), 'assets-'));
+  try {
+    for (const [file, content] of Object.entries(posts)) {
+      await fsp.mkdir(path.dirname(path.join(root, file)), { recursive: true });
+      await fsp.writeFile(path.join(root, file), content);
+    }
+    await fn(createPostAssets({ paths: { posts: root } }));
+  } finally {
+    await fsp.rm(root, { recursive: true, force: true });
+  }
+};
+
+test('skips and reports a post with unparsable front matter', () => withPosts({
+  '2024-01-01-a/index.md': '---\ntitle: A\n---\n![pic](/posts/2024-01-01-a/pic.png)\n',
+  '2024-01-01-a/pic.png': 'png',
+  '2024-01-01-a/unused.png': 'png',
+  '2024-01-02-broken/index.md': '---\ntitle: [oops\n---\nbody\n'
+}, async assets => {
+  const listed = await assets.listAssets('2024-01-01-a');
+  assert.deepStrictEqual(listed.assets.map(asset => [asset.file, asset.references.length]), [['pic.png', 1], ['unused.png', 0]]);
+  assert.deepStrictEqual(listed.unreadable.map(entry => entry.folder), ['2024-01-02-broken']);
+
+  const report = await assets.findOrphans();
+  assert.deepStrictEqual(report.orphans.map(orphan => orphan.file), ['unused.png']);
+  assert.deepStrictEqual(report.unreadable.map(entry => entry.folder), ['2024-01-02-broken']);
+  assert.ok(report.unreadable[0].error);
+
+  assert.strictEqual((await assets.findAsset('2024-01-01-a', 'pic.png')).file, 'pic.png');
+}));
+
+const FOLDER = '2024-01-01-a';
+
+// The gallery block lib/images.js uploads append to a post.
+const GALLERY = [
+  '<div class="upload-gallery" style="display: flex; flex-wrap: wrap; gap: 10px; justify-content: center;">',
+  `    <a href="/posts/${FOLDER}/pic.png"><img src="/posts/${FOLDER}/pic-thumb.png" srcset="/posts/${FOLDER}/pic-thumb.png 20w, /posts/${FOLDER}/pic-800w.png 800w" sizes="440px" loading="lazy"></a>`,
+  '</div>'
+].join('\n');
+
+const BODY = `Intro ![pic](/posts/${FOLDER}/pic.png) and [the file](./pic.png "title").\nA picture of pic.png stays as text.\n\n${GALLERY}\n`;
+
+test('renaming rewrites gallery markup and body references, including variants', () => withPosts({
+  [`${FOLDER}/index.md`]: '---\ntitle: A\ncover: /posts/2024-01-01-a/pic.png\n---\nbody\n',
+  [`${FOLDER}/pic.png`]: 'png',
+  [`${FOLDER}/pic-thumb.png`]: 'png',
+  [`${FOLDER}/pic-800w.png`]: 'png'
+}, async assets => {
+  const renames = await assets.renameAsset(FOLDER, await assets.findAsset(FOLDER, 'pic.png'), 'photo');
+  assert.deepStrictEqual(renames.slice().sort(), [['pic-800w.png', 'photo-800w.png'], ['pic-thumb.png', 'photo-thumb.png'], ['pic.png', 'photo.png']]);
+
+  const own = assetRewriter(FOLDER, renames, true)(BODY);
+  assert.ok(own.includes(`![pic](/posts/${FOLDER}/photo.png)`));
+  assert.ok(own.includes('[the file](./photo.png "title")'));
+  assert.ok(own.includes('A picture of pic.png stays as text.'));
+  assert.ok(own.includes(`<a href="/posts/${FOLDER}/photo.png"><img src="/posts/${FOLDER}/photo-thumb.png" srcset="/posts/${FOLDER}/photo-thumb.png 20w, /posts/${FOLDER}/photo-800w.png 800w"`));
+  assert.strictEqual(assetRewriter(FOLDER, renames, true)(`/posts/${FOLDER}/pic.png`), `/posts/${FOLDER}/photo.png`);
+
+  // Other posts only see the site-relative spelling rewritten.
+  const other = assetRewriter(FOLDER, renames, false)(`[a](/posts/${FOLDER}/pic.png) [b](./pic.png)`);
+  assert.strictEqual(other, `[a](/posts/${FOLDER}/photo.png) [b](./pic.png)`);
+}));
+
+test('deleting drops gallery entries and embeds but keeps link text', () => {
+  const remove = assetRemover(FOLDER, ['pic.png', 'pic-thumb.png', 'pic-800w.png'], true);
+  const text = remove(`${BODY}\nSee [the original](/posts/${FOLDER}/pic.png) and <img src="./pic-thumb.png">.\n`);
+  assert.strictEqual(text, 'Intro  and the file.\nA picture of pic.png stays as text.\n\nSee the original and .\n');
+  assert.strictEqual(remove(`/posts/${FOLDER}/pic.png`, 'cover'), '');
+  assert.strictEqual(remove('/posts/2024-01-01-a/other.png', 'cover'), '/posts/2024-01-01-a/other.png');
+});
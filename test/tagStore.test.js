@@ -0,0 +1,32 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fsp = require('fs').promises;
+const { createTagStore } = require('../lib/tagStore');
+
+const withStore = async fn => {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'tags-'));
+  try {
+    await fn(createTagStore({ paths: { tags: path.join(dir, 'tags.json') } }));
+  } finally {
+    await fsp.rm(dir, { recursive: true, force: true });
+  }
+};
+
+test('renames a stored tag', () => withStore(async store => {
+  await store.addTag('js');
+  assert.deepStrictEqual(await store.renameTag('js', 'javascript'), ['uncategorised', 'javascript']);
+}));
+
+test('refuses to rename a tag that is not stored', () => withStore(async store => {
+  await store.addTag('js');
+  await assert.rejects(store.renameTag('missing', 'other'), err => {
+    assert.strictEqual(err.status, 404);
+    assert.strictEqual(err.body.code, 'tag_not_found');
+    return true;
+  });
+  assert.deepStrictEqual(await store.getTags(), ['uncategorised', 'js']);
+}));
@@ -0,0 +1,97 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fsp = require('fs').promises;
+const { createUploadSessions } = require('../lib/uploadSessions');
+
+const withSessions = async (deps, fn) => {
+  const root = await fsp.mkdtemp(path.join(os.tmpdir(), 'sessions-'));
+  const config = {
+    root,
+    paths: { posts: path.join(root, 'posts'), sessions: path.join(root, 'sessions'), staging: path.join(root, 'staging') },
+    uploadSessions: { ttlHours: 1 }
+  };
+  try {
+    await fn(createUploadSessions(config, {
+      revisions: { snapshot: async () => {} },
+      locks: { withFolderLocks: async (folders, run) => await run() },
+      webhooks: { emit: () => {} },
+      gitHistory: { commit: async () => {} },
+      ...deps
+    }), config);
+  } finally {
+    await fsp.rm(root, { recursive: true, force: true });
+  }
+};
+
+const backdate = async (config, sessionId) => {
+  const file = path.join(config.paths.sessions, sessionId, 'session.json');
+  const session = JSON.parse(await fsp.readFile(file, 'utf8'));
+  session.updatedAt = new Date(Date.now() - 2 * 3600000).toISOString();
+  await fsp.writeFile(file, JSON.stringify(session));
+};
+
+test('purgeExpired leaves a session alone while its commit is running', async () => {
+  let enterLock;
+  const locked = new Promise(resolve => { enterLock = resolve; });
+  let releaseLock;
+  const released = new Promise(resolve => { releaseLock = resolve; });
+  const locks = {
+    withFolderLocks: async (folders, run) => {
+      enterLock();
+      await released;
+      return await run();
+    }
+  };
+  await withSessions({ locks }, async (sessions, config) => {
+    const { sessionId } = await sessions.createSession();
+    await sessions.addNote({ sessionId, filename: 'Note.md', content: '# Note\n\nbody\n', isMain: true });
+    await backdate(config, sessionId);
+
+    const commit = sessions.commitSession(sessionId, 'test');
+    await locked;
+    assert.deepStrictEqual(await sessions.purgeExpired(), []);
+    releaseLock();
+    const result = await commit;
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.created.length, 1);
+  });
+});
+
+test('purgeExpired removes an idle expired session', () => withSessions({}, async (sessions, config) => {
+  const { sessionId } = await sessions.createSession();
+  await backdate(config, sessionId);
+  assert.deepStrictEqual((await sessions.purgeExpired()).map(entry => entry.sessionId), [sessionId]);
+  await assert.rejects(sessions.getSession(sessionId), { status: 404 });
+}));
+
+test('a failed commit rolls back the posts it already moved and keeps the session', async () => {
+  let postsRoot;
+  // The second post's folder appears after planning, so swapping it in fails once the first post has landed.
+  const locks = {
+    withFolderLocks: async (folders, run) => {
+      await fsp.mkdir(path.join(postsRoot, folders[folders.length - 1]), { recursive: true });
+      return await run();
+    }
+  };
+  await withSessions({ locks }, async (sessions, config) => {
+    postsRoot = config.paths.posts;
+    const { sessionId } = await sessions.createSession();
+    await sessions.addNote({ sessionId, filename: 'Main.md', content: '# Main\n\nsee [[Second]]\n', isMain: true });
+    await sessions.addNote({ sessionId, filename: 'Second.md', content: '# Second\n\nbody\n' });
+    const { folder: second } = (await sessions.previewCommit(sessionId)).notes.find(note => note.slug === 'second');
+
+    await assert.rejects(sessions.commitSession(sessionId, 'test'), err => {
+      assert.strictEqual(err.status, 409);
+      assert.strictEqual(err.body.code, 'folder_conflict');
+      return true;
+    });
+    assert.deepStrictEqual(await fsp.readdir(postsRoot), [second]);
+    assert.deepStrictEqual(await fsp.readdir(path.join(postsRoot, second)), []);
+    assert.strictEqual((await sessions.getSession(sessionId)).ready, true);
+    assert.deepStrictEqual(await fsp.readdir(config.paths.staging), []);
+  });
+});